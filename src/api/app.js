@@ -1,10 +1,71 @@
 const express = require("express");
 const multer = require("multer");
+const rateLimit = require("express-rate-limit");
 const Bull = require("bull");
 const winston = require("winston");
 const path = require("path");
+const fs = require("fs");
+const EventEmitter = require("events");
+const { pipeline } = require("stream");
+const { promisify } = require("util");
+const { DEFAULT_SCHEMA, loadSchema, getProductFilters } = require("../schemas");
+const { castValue } = require("../schemas/values");
+const { parseSheetSelection } = require("../parsers/excel");
+const { listFormats, detectFormat, acceptsMimetype } = require("../formats");
+const {
+  resultExists,
+  createResultStream,
+  readResultRecords,
+} = require("../shared/resultStore");
+const { EXPORT_FORMATS, exportRecords } = require("../shared/export");
+const { readDuplicateOptions } = require("../shared/duplicates");
+const {
+  isProductStoreEnabled,
+  queryProducts,
+  findProductTenants,
+  getProduct,
+} = require("../shared/productStore");
+const { requestCancellation } = require("../shared/cancellation");
+const { collectQueueMetrics, toPrometheus } = require("../shared/metrics");
+const {
+  parseCallbackUrl,
+  getDeliveries,
+  notify,
+} = require("../shared/webhooks");
+const {
+  ADMIN_API_KEY,
+  parseTenant,
+  parseRole,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  authenticateKey,
+  isMetricsToken,
+} = require("../shared/apiKeys");
+const {
+  UPLOAD_RATE_LIMIT,
+  USAGE_DAYS,
+  getUsage,
+  reserveBytes,
+  releaseBytes,
+  removeOpenJob,
+  countOpenJobs,
+  takeJobSlot,
+  claimJobSlot,
+  releaseJobSlot,
+  getQuotaStatus,
+  createRateLimitStore,
+} = require("../shared/quotas");
+const {
+  jobOptions,
+  getDeadLetterQueue,
+  getDeadLetter,
+  retryDeadLetter,
+} = require("../shared/retries");
 
 const app = express();
+const pipelineAsync = promisify(pipeline);
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -19,34 +80,68 @@ const storage = multer.diskStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Check file type
-  const allowedTypes = /csv|xlsx|xls/;
-  const extname = allowedTypes.test(
-    path.extname(file.originalname).toLowerCase()
-  );
-  const mimetype =
-    file.mimetype.includes("csv") ||
-    file.mimetype.includes("spreadsheetml") ||
-    file.mimetype.includes("excel");
-
-  if (extname && mimetype) {
+  // Check file type against the registered formats
+  if (detectFormat(file.originalname) && acceptsMimetype(file.mimetype)) {
     return cb(null, true);
   }
-  cb(new Error("Only CSV and Excel files are allowed!"));
+  cb(
+    new Error(
+      `Only ${listFormats()
+        .map((format) => `${format.label} (${format.extensions.join(", ")})`)
+        .join(", ")} files are allowed!`
+    )
+  );
 };
 
+// Upload size limit, configurable per deployment (in MB)
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 250;
+
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 1024 * 1024 * 5, // 5MB limit
+    fileSize: 1024 * 1024 * MAX_UPLOAD_SIZE_MB,
   },
 });
 
 // Configure Redis queues
 const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
-const csvQueue = new Bull("csv-processing", REDIS_URL);
-const excelQueue = new Bull("excel-processing", REDIS_URL);
+const convertQueue = new Bull("file-conversion", REDIS_URL);
+
+// Queues by worker type: one per registered format, and the conversion queue
+const queues = {
+  ...Object.fromEntries(
+    listFormats().map((format) => [
+      format.name,
+      new Bull(format.queue, REDIS_URL),
+    ])
+  ),
+  convert: convertQueue,
+};
+const WORKER_TYPES = Object.keys(queues);
+const INVALID_WORKER_TYPE = `Invalid worker type. Use ${WORKER_TYPES.map(
+  (type) => `'${type}'`
+).join(", ")}`;
+
+// Job events of every queue, re-emitted per job for the event streams.
+// Bull's global events come through Redis, so they cover jobs processed by
+// any worker.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function jobEventName(queueType, jobId) {
+  return `${queueType}:${jobId}`;
+}
+
+Object.entries(queues).forEach(([type, queue]) => {
+  ["waiting", "active", "stalled", "progress", "completed", "failed"].forEach(
+    (event) => {
+      queue.on(`global:${event}`, (jobId, value) => {
+        jobEvents.emit(jobEventName(type, jobId), event, value);
+      });
+    }
+  );
+});
 
 // Configure logger
 const logger = winston.createLogger({
@@ -62,74 +157,382 @@ const logger = winston.createLogger({
   ],
 });
 
-// Helper function to determine file type and queue
+// Helper function to determine the format and queue of a file
 function getQueueForFile(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  switch (ext) {
-    case ".csv":
-      return {
-        queue: csvQueue,
-        type: "csv",
-      };
-    case ".xlsx":
-    case ".xls":
-      return {
-        queue: excelQueue,
-        type: "excel",
-      };
-    default:
-      throw new Error("Unsupported file type");
+  const format = detectFormat(filename);
+  if (!format) {
+    throw new Error("Unsupported file type");
   }
+  return { queue: queues[format.name], type: format.name, format };
 }
 
-// Upload endpoint
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: "No file uploaded",
-      });
-    }
+// Helper function to read a request parameter from the query string or the
+// form fields
+function requestField(req) {
+  return (name) =>
+    req.query[name] !== undefined ? req.query[name] : req.body[name];
+}
+
+// Callback URL notified when the job completes, fails or is cancelled
+async function readCallbackUrl(req) {
+  const value = req.query.callbackUrl || req.body.callbackUrl;
+  return value ? parseCallbackUrl(value) : undefined;
+}
+
+// Routes that do not need an API key
+const PUBLIC_PATHS = ["/health"];
 
-    const { queue, type } = getQueueForFile(req.file.originalname);
+// Routes that METRICS_TOKEN opens, besides admin keys
+const METRICS_PATHS = ["/metrics", "/metrics/prometheus"];
 
-    const job = await queue.add({
-      filePath: req.file.path,
-      originalName: req.file.originalname,
-      fileType: type,
-      timestamp: Date.now(),
+// Every other route needs an API key, sent in the X-API-Key header or as a
+// Bearer token. The key's tenant and role are set on req.apiKey; the metrics
+// token gets the "metrics" role.
+async function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  const header = req.get("Authorization") || "";
+  const key =
+    req.get("X-API-Key") ||
+    (header.startsWith("Bearer ") ? header.slice(7).trim() : null);
+  if (!key) {
+    return res.status(401).json({
+      error: "API key required. Send it in the X-API-Key header",
     });
+  }
 
-    logger.info(`File queued for processing`, {
-      jobId: job.id,
-      fileName: req.file.originalname,
-      fileType: type,
+  if (METRICS_PATHS.includes(req.path) && isMetricsToken(key)) {
+    req.apiKey = { id: "metrics", tenant: null, role: "metrics" };
+    return next();
+  }
+
+  try {
+    req.apiKey = await authenticateKey(key);
+  } catch (error) {
+    return next(error);
+  }
+  if (!req.apiKey) {
+    return res.status(401).json({
+      error: "Invalid API key",
     });
+  }
+  next();
+}
 
-    res.json({
-      message: "File queued for processing",
-      jobId: job.id,
-      originalName: req.file.originalname,
-      fileType: type,
+function requireAdmin(req, res, next) {
+  if (req.apiKey.role !== "admin") {
+    return res.status(403).json({
+      error: "Admin API key required",
     });
-  } catch (error) {
-    logger.error("Error in upload:", error);
-    res.status(500).json({
-      error: error.message || "Error processing upload",
+  }
+  next();
+}
+
+// Queue metrics cover every tenant
+function requireMetricsAccess(req, res, next) {
+  if (!["admin", "metrics"].includes(req.apiKey.role)) {
+    return res.status(403).json({
+      error: "Admin API key or metrics token required",
     });
   }
+  next();
+}
+
+// Helper function to check that a job belongs to the tenant of the request.
+// Admin keys can see every job.
+function ownsJob(req, data) {
+  return req.apiKey.role === "admin" || data.tenant === req.apiKey.tenant;
+}
+
+app.use(authenticate);
+
+// Upload and conversion requests per API key
+const uploadLimiter = rateLimit({
+  ...UPLOAD_RATE_LIMIT,
+  store: createRateLimitStore("rate-limit:upload", UPLOAD_RATE_LIMIT.windowMs),
+  keyGenerator: (req) => req.apiKey.id,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: `Too many upload requests: the limit is ${
+        UPLOAD_RATE_LIMIT.max
+      } per ${UPLOAD_RATE_LIMIT.windowMs / 1000} seconds`,
+      quota: "rate",
+      limit: UPLOAD_RATE_LIMIT.max,
+      resetAt: req.rateLimit.resetTime,
+    });
+  },
 });
 
+// Helper function to check whether a job still holds one of its tenant's
+// concurrent job slots
+async function isOpenJob(queueName, jobId) {
+  const queue = Object.values(queues).find((q) => q.name === queueName);
+  const job = queue && (await queue.getJob(jobId));
+  if (!job) return false;
+  return ["waiting", "delayed", "active", "paused"].includes(
+    await job.getState()
+  );
+}
+
+// Helper function to count the unfinished jobs of a tenant
+function countTenantJobs(tenant) {
+  return countOpenJobs(tenant, isOpenJob);
+}
+
+function setQuotaHeaders(res, status) {
+  res.set({
+    "X-Quota-Bytes-Limit": status.bytes.limit,
+    "X-Quota-Bytes-Remaining": status.bytes.remaining,
+    "X-Quota-Rows-Limit": status.rows.limit,
+    "X-Quota-Rows-Remaining": status.rows.remaining,
+    "X-Quota-Jobs-Limit": status.concurrentJobs.limit,
+    "X-Quota-Jobs-Remaining": status.concurrentJobs.remaining,
+    "X-Quota-Reset": Math.floor(Date.parse(status.resetAt) / 1000),
+  });
+}
+
+function sendQuotaExceeded(res, quota, status, error) {
+  // Daily quotas free up at the reset, concurrent jobs when one finishes
+  if (quota !== "concurrentJobs") {
+    res.set(
+      "Retry-After",
+      Math.ceil((Date.parse(status.resetAt) - Date.now()) / 1000)
+    );
+  }
+  res.status(429).json({
+    error,
+    quota,
+    limit: status[quota].limit,
+    used: status[quota].used,
+    resetAt: quota === "concurrentJobs" ? undefined : status.resetAt,
+  });
+}
+
+// Refuse new jobs of tenants that are out of quota, before the file is
+// uploaded. The job slot taken here goes to the job once it is queued, and
+// back when the request ends without one. The bootstrap admin key has no
+// tenant and no quotas.
+async function checkQuotas(req, res, next) {
+  const { tenant } = req.apiKey;
+  if (!tenant) return next();
+
+  try {
+    const { slot, openJobs } = await takeJobSlot(tenant, isOpenJob);
+    req.jobSlot = slot;
+    req.quotaStatus = await getQuotaStatus(tenant, openJobs);
+  } catch (error) {
+    if (req.jobSlot) releaseUploadSlot(req);
+    return next(error);
+  }
+  res.on("close", () => releaseUploadSlot(req));
+  const status = req.quotaStatus;
+  setQuotaHeaders(res, status);
+
+  if (status.concurrentJobs.remaining === 0) {
+    return sendQuotaExceeded(
+      res,
+      "concurrentJobs",
+      status,
+      `Too many unfinished jobs: the limit is ${status.concurrentJobs.limit}. Wait for a job to finish or cancel one`
+    );
+  }
+  if (status.rows.remaining === 0) {
+    return sendQuotaExceeded(
+      res,
+      "rows",
+      status,
+      `Daily row quota of ${status.rows.limit} rows used up`
+    );
+  }
+  if (status.bytes.remaining === 0) {
+    return sendQuotaExceeded(
+      res,
+      "bytes",
+      status,
+      `Daily upload quota of ${status.bytes.limit} bytes used up`
+    );
+  }
+  next();
+}
+
+// Helper function to give back the job slot of a request that queued no job
+function releaseUploadSlot(req) {
+  const slot = req.jobSlot;
+  if (!slot) return;
+  req.jobSlot = null;
+  releaseJobSlot(req.apiKey.tenant, slot).catch((error) =>
+    logger.error("Could not release the job slot of an upload:", error)
+  );
+}
+
+// Helper function to count an uploaded file against the tenant's byte
+// quota. Sends the 429 response and removes the file when it does not fit.
+async function reserveUpload(req, res) {
+  const status = req.quotaStatus;
+  if (!status) return true;
+
+  const { allowed, used } = await reserveBytes(
+    req.apiKey.tenant,
+    req.file.size
+  );
+  if (!allowed) {
+    fs.unlink(req.file.path, () => {});
+    sendQuotaExceeded(
+      res,
+      "bytes",
+      status,
+      `File of ${req.file.size} bytes exceeds the daily upload quota: ${status.bytes.remaining} of ${status.bytes.limit} bytes left`
+    );
+    return false;
+  }
+
+  status.bytes.used = used;
+  status.bytes.remaining = Math.max(status.bytes.limit - used, 0);
+  status.concurrentJobs.used++;
+  status.concurrentJobs.remaining--;
+  setQuotaHeaders(res, status);
+  return true;
+}
+
+// Helper function to queue the job of an upload. The tenant's bytes and job
+// slot are given back and the file removed when it cannot be queued.
+async function addUploadJob(req, queue, data) {
+  let job;
+  try {
+    job = await queue.add(data, jobOptions(queue.name));
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    if (req.quotaStatus) {
+      await releaseBytes(req.apiKey.tenant, req.file.size).catch((release) =>
+        logger.error("Could not release the upload quota:", release)
+      );
+    }
+    throw error;
+  }
+  await claimJobSlot(req.apiKey.tenant, req.jobSlot, queue.name, job.id);
+  req.jobSlot = null;
+  return job;
+}
+
+// Upload endpoint
+app.post(
+  "/upload",
+  uploadLimiter,
+  checkQuotas,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: "No file uploaded",
+        });
+      }
+
+      // Pick the import schema, e.g. ?schema=products
+      const schemaName = req.query.schema || req.body.schema || DEFAULT_SCHEMA;
+      let schema;
+      try {
+        schema = loadSchema(schemaName);
+      } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+
+      const { queue, type, format } = getQueueForFile(req.file.originalname);
+
+      // Options of the format, e.g. ?sheets=1,Legend for Excel files or
+      // ?delimiter=; for CSV files, and how duplicate keys are handled, e.g.
+      // ?key=ProductID&duplicates=last (the schema's settings otherwise)
+      let options;
+      try {
+        options = {
+          ...format.readOptions(requestField(req)),
+          ...readDuplicateOptions(requestField(req), schema),
+        };
+      } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+
+      let callbackUrl;
+      try {
+        callbackUrl =
+          (await readCallbackUrl(req)) || req.apiKey.webhookUrl || undefined;
+      } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+
+      if (!(await reserveUpload(req, res))) return;
+
+      const job = await addUploadJob(req, queue, {
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        fileType: type,
+        schema: schema.name,
+        ...options,
+        callbackUrl,
+        tenant: req.apiKey.tenant,
+        apiKeyId: req.apiKey.id,
+        timestamp: Date.now(),
+      });
+
+      logger.info(`File queued for processing`, {
+        jobId: job.id,
+        fileName: req.file.originalname,
+        fileType: type,
+        schema: schema.name,
+        ...options,
+      });
+
+      res.json({
+        message: "File queued for processing",
+        jobId: job.id,
+        originalName: req.file.originalname,
+        fileType: type,
+        schema: schema.name,
+        sheets: options.sheets,
+      });
+    } catch (error) {
+      logger.error("Error in upload:", error);
+      res.status(500).json({
+        error: error.message || "Error processing upload",
+      });
+    }
+  }
+);
+
 // Helper function to get queue by worker type
 function getQueueByWorkerType(workerType) {
-  switch (workerType?.toLowerCase()) {
-    case "csv":
-      return { queue: csvQueue, type: "csv" };
-    case "excel":
-      return { queue: excelQueue, type: "excel" };
-    default:
-      return null;
+  const type = workerType?.toLowerCase();
+  return WORKER_TYPES.includes(type) ? { queue: queues[type], type } : null;
+}
+
+// Helper function to read job progress. Workers report the percentage
+// together with the running counts, and per-sheet counts for formats with
+// sheets.
+function describeProgress(progress) {
+  if (progress && typeof progress === "object") {
+    const { percentage, ...counts } = progress;
+    return { progress: percentage, ...counts };
+  }
+  return { progress };
+}
+
+// Helper function to read the state of a job. Cancelled jobs complete with
+// `cancelled` set in their result, and are reported as "cancelled".
+async function getJobState(job) {
+  const state = await job.getState();
+  if (state === "completed" && job.returnvalue && job.returnvalue.cancelled) {
+    return "cancelled";
   }
+  return state;
 }
 
 // Add a new endpoint to get all jobs from a specific queue
@@ -142,14 +545,16 @@ app.get("/jobs", async (req, res) => {
 
     if (!workerType) {
       return res.status(400).json({
-        error: "Worker type is required. Use ?worker=csv or ?worker=excel",
+        error: `Worker type is required. Use ${WORKER_TYPES.map(
+          (type) => `?worker=${type}`
+        ).join(", ")}`,
       });
     }
 
     const queueInfo = getQueueByWorkerType(workerType);
     if (!queueInfo) {
       return res.status(400).json({
-        error: "Invalid worker type. Use 'csv' or 'excel'",
+        error: INVALID_WORKER_TYPE,
       });
     }
 
@@ -177,6 +582,9 @@ app.get("/jobs", async (req, res) => {
         });
     }
 
+    // Tenants only see their own jobs
+    jobs = jobs.filter((job) => job && ownsJob(req, job.data));
+
     // Get queue stats
     const queueStats = await queueInfo.queue.getJobCounts();
 
@@ -187,8 +595,8 @@ app.get("/jobs", async (req, res) => {
     const jobsData = await Promise.all(
       paginatedJobs.map(async (job) => ({
         jobId: job.id,
-        state: await job.getState(),
-        progress: job._progress,
+        state: await getJobState(job),
+        ...describeProgress(job._progress),
         data: job.data,
         result: job.returnvalue,
         timestamps: {
@@ -220,44 +628,75 @@ app.get("/jobs", async (req, res) => {
   }
 });
 
-// Updated job status endpoint
-app.get("/job/:jobId", async (req, res) => {
-  try {
-    const workerType = req.query.worker;
-    let job = null;
-    let queueType = null;
+// Helper function to look up a job from the request, optionally limited to
+// the queue given by ?worker=. Sends the error response and returns null
+// when the job cannot be found.
+async function resolveJob(req, res) {
+  const workerType = req.query.worker;
+  let job = null;
+  let queueType = null;
 
-    // If worker type is specified
-    if (workerType) {
-      const queueInfo = getQueueByWorkerType(workerType);
-      if (!queueInfo) {
-        return res.status(400).json({
-          error: "Invalid worker type. Use 'csv' or 'excel'",
+  // If worker type is specified
+  if (workerType) {
+    const queueInfo = getQueueByWorkerType(workerType);
+    if (!queueInfo) {
+      res.status(400).json({
+        error: INVALID_WORKER_TYPE,
+      });
+      return null;
+    }
+    job = await queueInfo.queue.getJob(req.params.jobId);
+    queueType = queueInfo.type;
+  } else {
+    // Try every queue if no worker type specified
+    for (const type of WORKER_TYPES) {
+      job = await getQueueByWorkerType(type).queue.getJob(req.params.jobId);
+      queueType = type;
+      if (job && ownsJob(req, job.data)) break;
+    }
+  }
+
+  // Jobs of other tenants are reported as not found
+  if (job && !ownsJob(req, job.data)) {
+    job = null;
+  }
+
+  if (!job) {
+    // Jobs that ran out of attempts live in the dead-letter queue
+    const types = workerType ? [queueType] : WORKER_TYPES;
+    for (const type of types) {
+      const { queue } = getQueueByWorkerType(type);
+      const entry = await getDeadLetter(queue.name, req.params.jobId);
+      if (entry && ownsJob(req, entry.data.data)) {
+        res.status(404).json({
+          error: `Job was moved to the dead-letter queue after ${entry.data.attemptsMade} attempts. Retry it with POST /job/${req.params.jobId}/retry?worker=${type}`,
+          state: "dead-lettered",
+          queueType: type,
+          failedReason: entry.data.failedReason,
         });
-      }
-      job = await queueInfo.queue.getJob(req.params.jobId);
-      queueType = queueInfo.type;
-    } else {
-      // Try both queues if no worker type specified
-      job = await csvQueue.getJob(req.params.jobId);
-      queueType = "csv";
-
-      if (!job) {
-        job = await excelQueue.getJob(req.params.jobId);
-        queueType = "excel";
+        return null;
       }
     }
 
-    if (!job) {
-      return res.status(404).json({
-        error: workerType
-          ? `Job not found in ${workerType} queue`
-          : "Job not found in any queue",
-      });
-    }
+    res.status(404).json({
+      error: workerType
+        ? `Job not found in ${workerType} queue`
+        : "Job not found in any queue",
+    });
+    return null;
+  }
+
+  return { job, queueType };
+}
+
+// Updated job status endpoint
+app.get("/job/:jobId", async (req, res) => {
+  try {
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job, queueType } = found;
 
-    const state = await job.getState();
-    const progress = job._progress;
+    const state = await getJobState(job);
 
     // Get additional queue stats
     const queueStats = await job.queue.getJobCounts();
@@ -265,10 +704,12 @@ app.get("/job/:jobId", async (req, res) => {
     res.json({
       jobId: job.id,
       state,
-      progress,
+      ...describeProgress(job._progress),
       queueType,
       data: job.data,
       result: job.returnvalue,
+      // Callback deliveries, oldest first
+      webhooks: await getDeliveries(job.queue.name, job.id),
       queueStats: {
         waiting: queueStats.waiting,
         active: queueStats.active,
@@ -291,38 +732,990 @@ app.get("/job/:jobId", async (req, res) => {
   }
 });
 
-app.get("/metrics", async (req, res) => {
+// Live job updates as Server-Sent Events: "state" on every state change,
+// "progress" with the percentage and counts, and a final "completed",
+// "failed" or "cancelled" event with the summary, after which the stream
+// ends
+app.get("/job/:jobId/events", async (req, res) => {
   try {
-    const [csvMetrics, excelMetrics] = await Promise.all([
-      csvQueue.getJobCounts(),
-      excelQueue.getJobCounts(),
-    ]);
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job, queueType } = found;
+    const eventName = jobEventName(queueType, job.id);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stop proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comments keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      jobEvents.removeListener(eventName, onEvent);
+      res.end();
+    };
+
+    const finish = (state, data) => {
+      send("state", { jobId: job.id, state });
+      send(state, { jobId: job.id, ...data });
+      close();
+    };
+
+    const finishCompleted = (result) => {
+      finish(result && result.cancelled ? "cancelled" : "completed", {
+        result,
+      });
+    };
+
+    async function onEvent(event, value) {
+      try {
+        switch (event) {
+          case "progress":
+            send("progress", { jobId: job.id, ...describeProgress(value) });
+            break;
+          case "completed":
+            finishCompleted(
+              typeof value === "string" ? JSON.parse(value) : value
+            );
+            break;
+          case "failed": {
+            // Failed attempts are retried until the job runs out of attempts;
+            // jobs that did are moved to the dead-letter queue
+            const current = await job.queue.getJob(job.id);
+            const state = current ? await current.getState() : "failed";
+            if (state === "failed") {
+              finish("failed", { failedReason: value });
+            } else {
+              send("state", { jobId: job.id, state, failedReason: value });
+            }
+            break;
+          }
+          case "removed":
+            finish("cancelled", { result: null });
+            break;
+          default:
+            send("state", { jobId: job.id, state: event });
+        }
+      } catch (error) {
+        logger.error(`Error streaming events for job ${job.id}:`, error);
+      }
+    }
+
+    // Listen before reading the current state, so no event is missed
+    jobEvents.on(eventName, onEvent);
+    req.on("close", close);
+
+    const state = await getJobState(job);
+    send("state", { jobId: job.id, state, queueType });
+    send("progress", { jobId: job.id, ...describeProgress(job._progress) });
+
+    if (state === "completed" || state === "cancelled") {
+      finishCompleted(job.returnvalue);
+    } else if (state === "failed") {
+      finish("failed", { failedReason: job.failedReason });
+    }
+  } catch (error) {
+    logger.error("Error streaming job events:", error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: "Error streaming job events",
+      details: error.message,
+    });
+  }
+});
+
+// Cancel a job. Jobs that have not started are removed from the queue;
+// active jobs are flagged, and their worker stops before the next record.
+app.delete("/job/:jobId", async (req, res) => {
+  try {
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job, queueType } = found;
+
+    const state = await getJobState(job);
+    if (["waiting", "delayed", "paused"].includes(state)) {
+      try {
+        await job.remove();
+        await removeOpenJob(job.data.tenant, job.queue.name, job.id);
+        fs.unlink(job.data.filePath, () => {});
+        logger.info(`Job ${job.id} removed from the ${queueType} queue`);
+        jobEvents.emit(jobEventName(queueType, job.id), "removed");
+        await notify(job.queue, job, "job.cancelled", {
+          state: "cancelled",
+          result: null,
+        });
+        return res.json({
+          message: "Job cancelled",
+          jobId: job.id,
+          queueType,
+          state: "cancelled",
+        });
+      } catch (error) {
+        // A worker picked the job up in the meantime
+        logger.warn(`Could not remove job ${job.id}: ${error.message}`);
+      }
+    } else if (state !== "active") {
+      return res.status(409).json({
+        error: `Job cannot be cancelled (current state: ${state})`,
+      });
+    }
+
+    await requestCancellation(job.queue, job.id);
+    logger.info(`Cancellation requested for job ${job.id}`, { queueType });
 
+    res.status(202).json({
+      message: "Cancellation requested. The job stops before its next record.",
+      jobId: job.id,
+      queueType,
+      state: "cancelling",
+    });
+  } catch (error) {
+    logger.error("Error cancelling job:", error);
+    res.status(500).json({
+      error: "Error cancelling job",
+      details: error.message,
+    });
+  }
+});
+
+// Retry a job: a dead-lettered job is put back on its queue with a fresh set
+// of attempts, a failed job is retried in place. A retried job counts
+// against the quotas like a new upload.
+app.post("/job/:jobId/retry", checkQuotas, async (req, res) => {
+  try {
+    const workerType = req.query.worker;
+    if (workerType && !getQueueByWorkerType(workerType)) {
+      return res.status(400).json({
+        error: INVALID_WORKER_TYPE,
+      });
+    }
+
+    const types = workerType
+      ? [getQueueByWorkerType(workerType).type]
+      : WORKER_TYPES;
+    for (const type of types) {
+      const { queue } = getQueueByWorkerType(type);
+      const entry = await getDeadLetter(queue.name, req.params.jobId);
+      if (!entry || !ownsJob(req, entry.data.data)) continue;
+
+      if (!fs.existsSync(entry.data.data.filePath)) {
+        return res.status(410).json({
+          error: "The uploaded file of this job is no longer available",
+        });
+      }
+
+      const job = await retryDeadLetter(queue, entry);
+      await claimJobSlot(job.data.tenant, req.jobSlot, queue.name, job.id);
+      req.jobSlot = null;
+      logger.info(`Job ${job.id} requeued from the dead-letter queue`, {
+        queueType: type,
+      });
+      return res.json({
+        message: "Job requeued",
+        jobId: job.id,
+        queueType: type,
+        attempts: job.opts.attempts,
+      });
+    }
+
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job, queueType } = found;
+
+    const state = await getJobState(job);
+    if (state !== "failed") {
+      return res.status(409).json({
+        error: `Only failed or dead-lettered jobs can be retried (current state: ${state})`,
+      });
+    }
+
+    await job.retry();
+    await claimJobSlot(job.data.tenant, req.jobSlot, job.queue.name, job.id);
+    req.jobSlot = null;
+    logger.info(`Job ${job.id} retried`, { queueType });
     res.json({
-      csv: {
-        ...csvMetrics,
-        processingRate: "X jobs/second",
-      },
-      excel: {
-        ...excelMetrics,
-        processingRate: "Y jobs/second",
+      message: "Job requeued",
+      jobId: job.id,
+      queueType,
+    });
+  } catch (error) {
+    logger.error("Error retrying job:", error);
+    res.status(500).json({
+      error: "Error retrying job",
+      details: error.message,
+    });
+  }
+});
+
+// List the jobs that ran out of attempts, optionally for one queue
+app.get("/dead-letter", async (req, res) => {
+  try {
+    const workerType = req.query.worker;
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 10;
+
+    const queueInfo = workerType && getQueueByWorkerType(workerType);
+    if (workerType && !queueInfo) {
+      return res.status(400).json({
+        error: INVALID_WORKER_TYPE,
+      });
+    }
+
+    let entries = (await getDeadLetterQueue().getWaiting()).filter((entry) =>
+      ownsJob(req, entry.data.data)
+    );
+    if (queueInfo) {
+      entries = entries.filter(
+        (entry) => entry.data.queue === queueInfo.queue.name
+      );
+    }
+    // Most recent failures first
+    entries.sort((a, b) => b.data.failedOn - a.data.failedOn);
+
+    const start = (page - 1) * pageSize;
+    res.json({
+      queue: workerType || "all",
+      pagination: {
+        page,
+        pageSize,
+        totalJobs: entries.length,
+        totalPages: Math.ceil(entries.length / pageSize),
       },
-      totalActiveJobs: csvMetrics.active + excelMetrics.active,
+      retryPolicies: Object.fromEntries(
+        Object.values(queues).map((queue) => [
+          queue.name,
+          jobOptions(queue.name),
+        ])
+      ),
+      jobs: entries.slice(start, start + pageSize).map((entry) => ({
+        jobId: entry.data.jobId,
+        queue: entry.data.queue,
+        originalName: entry.data.data.originalName,
+        attemptsMade: entry.data.attemptsMade,
+        failedReason: entry.data.failedReason,
+        stacktrace: entry.data.stacktrace,
+        data: entry.data.data,
+        timestamps: {
+          created: entry.data.createdOn,
+          failed: entry.data.failedOn,
+        },
+      })),
+    });
+  } catch (error) {
+    logger.error("Error fetching dead-lettered jobs:", error);
+    res.status(500).json({
+      error: "Error fetching dead-lettered jobs",
+      details: error.message,
+    });
+  }
+});
+
+// Helper function to stream a stored result to the client. NDJSON results
+// can be converted to any export format on the fly, with the options of
+// exportRecords.
+async function sendStoredResult(res, ref, format, fileBase, options) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.attachment(`${fileBase}.${extension}`);
+  res.type(contentType);
+
+  if (format === ref.format) {
+    await pipelineAsync(createResultStream(ref), res);
+    return;
+  }
+  await exportRecords(
+    readResultRecords(ref),
+    format,
+    res,
+    ref.columns,
+    options
+  );
+}
+
+// Helper function to check that a completed job has a stored output.
+// Jobs that processed several sheets keep one result per sheet, picked
+// with ?sheet=<index|name>. Sends the error response and returns null
+// otherwise.
+async function resolveStoredOutput(job, res, field, sheetSelector) {
+  const state = await getJobState(job);
+  if (state !== "completed") {
+    res.status(409).json({
+      error: `Job output is available once the job has completed (current state: ${state})`,
+      failedReason: job.failedReason,
+    });
+    return null;
+  }
+
+  const { sheets = [] } = job.returnvalue || {};
+  let ref = job.returnvalue && job.returnvalue[field];
+  if (sheetSelector) {
+    const sheet = sheets.find(
+      (s) => s.name === sheetSelector || String(s.index) === sheetSelector
+    );
+    if (!sheet) {
+      res.status(404).json({
+        error: `Sheet ${sheetSelector} was not processed by this job`,
+      });
+      return null;
+    }
+    if (!sheet.result) {
+      res.status(404).json({
+        error: `Sheet ${sheet.name} was skipped: ${sheet.error}`,
+      });
+      return null;
+    }
+    ref = sheet[field];
+  } else if (!ref && sheets.length > 1) {
+    res.status(400).json({
+      error: `This job processed several sheets. Use ?sheet= with one of: ${sheets
+        .filter((s) => s.result)
+        .map((s) => s.name)
+        .join(", ")}`,
+    });
+    return null;
+  }
+
+  if (!resultExists(ref)) {
+    res.status(410).json({
+      error: "Job output is no longer available",
+    });
+    return null;
+  }
+  return ref;
+}
+
+// Row-level error report for a job, as JSON or as a CSV download
+app.get("/job/:jobId/errors", async (req, res) => {
+  try {
+    const format = (req.query.format || "json").toLowerCase();
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Invalid format. Use 'json' or 'csv'",
+      });
+    }
+
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job } = found;
+
+    const ref = await resolveStoredOutput(job, res, "errorReport");
+    if (!ref) return;
+
+    const fileBase = `job-${job.id}-errors`;
+    // The values come from the uploaded file, so none may run as a formula
+    // when the report is opened in a spreadsheet
+    if (format === "csv") {
+      return await sendStoredResult(res, ref, "csv", fileBase, {
+        escapeFormulas: true,
+      });
+    }
+
+    const errors = [];
+    for await (const entry of readResultRecords(ref)) {
+      errors.push(entry);
+    }
+
+    if (req.query.download) {
+      res.attachment(`${fileBase}.json`);
+    }
+    res.json({
+      jobId: job.id,
+      originalName: job.data.originalName,
+      totalErrors: errors.length,
+      failedRows: job.returnvalue.failed,
+      errors,
+    });
+  } catch (error) {
+    logger.error("Error fetching job errors:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      error: "Error fetching job errors",
+      details: error.message,
+    });
+  }
+});
+
+// Column profile of a processed file. Jobs that processed several sheets
+// have one profile per sheet.
+app.get("/job/:jobId/profile", async (req, res) => {
+  try {
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job, queueType } = found;
+
+    if (queueType === "convert") {
+      return res.status(400).json({
+        error: "Conversion jobs have no column profile",
+      });
+    }
+
+    const ref = await resolveStoredOutput(job, res, "profile", req.query.sheet);
+    if (!ref) return;
+
+    const fileBase = req.query.sheet
+      ? `job-${job.id}-profile-${req.query.sheet}`
+      : `job-${job.id}-profile`;
+    const columns = [];
+    for await (const column of readResultRecords(ref)) {
+      columns.push(column);
+    }
+
+    if (req.query.download) {
+      res.attachment(`${fileBase}.json`);
+    }
+    res.json({
+      jobId: job.id,
+      originalName: job.data.originalName,
+      sheet: req.query.sheet || undefined,
+      totalColumns: columns.length,
+      columns,
+    });
+  } catch (error) {
+    logger.error("Error fetching job profile:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      error: "Error fetching job profile",
+      details: error.message,
+    });
+  }
+});
+
+// Download the output of a job. Processed records can be downloaded as
+// NDJSON, CSV or XLSX; converted files in their target format.
+app.get("/job/:jobId/result", async (req, res) => {
+  try {
+    const found = await resolveJob(req, res);
+    if (!found) return;
+    const { job } = found;
+
+    const ref = await resolveStoredOutput(job, res, "result", req.query.sheet);
+    if (!ref) return;
+
+    const format = (req.query.format || ref.format).toLowerCase();
+    const formats =
+      ref.format === "ndjson" ? Object.keys(EXPORT_FORMATS) : [ref.format];
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format. Use one of: ${formats.join(", ")}`,
+      });
+    }
+
+    const fileBase = req.query.sheet
+      ? `job-${job.id}-result-${req.query.sheet}`
+      : `job-${job.id}-result`;
+    await sendStoredResult(res, ref, format, fileBase);
+  } catch (error) {
+    logger.error("Error fetching job result:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      error: "Error fetching job result",
+      details: error.message,
+    });
+  }
+});
+
+// Helper function to check that the product store is enabled and to load
+// the schema of a products request. Sends the error response and returns
+// null otherwise.
+function resolveProductSchema(req, res) {
+  if (!isProductStoreEnabled()) {
+    res.status(404).json({
+      error: "The product store is not enabled. Set PRODUCT_STORE",
+    });
+    return null;
+  }
+
+  let schema;
+  try {
+    schema = loadSchema(req.query.schema || DEFAULT_SCHEMA);
+  } catch (error) {
+    res.status(400).json({
+      error: error.message,
+    });
+    return null;
+  }
+  if (schema.key.length === 0) {
+    res.status(400).json({
+      error: `Schema "${schema.name}" has no key, so its records are not stored`,
+    });
+    return null;
+  }
+  return schema;
+}
+
+// Helper function to read an optional numeric query parameter. Sends the
+// error response and returns null when it is not a number.
+function readNumberParam(req, res, name) {
+  const value = req.query[name];
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    res.status(400).json({
+      error: `${name} must be a number`,
+    });
+    return null;
+  }
+  return number;
+}
+
+// Helper function to read the filters a schema declares for its stored
+// records from the query. Sends the error response and returns null when a
+// bound is not a number.
+function readProductFilters(req, res, schema) {
+  const filters = [];
+  for (const { column, params } of getProductFilters(schema)) {
+    if (params.value !== undefined) {
+      const value = req.query[params.value];
+      if (value !== undefined && value !== "") filters.push({ column, value });
+      continue;
+    }
+    const min = readNumberParam(req, res, params.min);
+    if (min === null) return null;
+    const max = readNumberParam(req, res, params.max);
+    if (max === null) return null;
+    filters.push({ column, min, max });
+  }
+  return filters;
+}
+
+// Stored records of a schema, e.g.
+// GET /products?tag=sale&category=shoes&minPrice=10&page=2. The filters
+// come from the schema's columns. Tenants see their own records; admins see
+// every tenant's, or one with ?tenant=.
+app.get("/products", (req, res) => {
+  try {
+    const schema = resolveProductSchema(req, res);
+    if (!schema) return;
+
+    const filters = readProductFilters(req, res, schema);
+    if (!filters) return;
+
+    const tenant =
+      req.apiKey.role === "admin"
+        ? req.query.tenant || null
+        : req.apiKey.tenant;
+
+    res.json({
+      schema: schema.name,
+      ...queryProducts({
+        tenant,
+        schema: schema.name,
+        filters,
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 10,
+      }),
+    });
+  } catch (error) {
+    logger.error("Error fetching products:", error);
+    res.status(500).json({
+      error: "Error fetching products",
+      details: error.message,
+    });
+  }
+});
+
+// A stored record with its change history. The key values of a composite
+// key are separated by commas.
+app.get("/products/:key", (req, res) => {
+  try {
+    const schema = resolveProductSchema(req, res);
+    if (!schema) return;
+
+    const parts =
+      schema.key.length === 1 ? [req.params.key] : req.params.key.split(",");
+    if (parts.length !== schema.key.length) {
+      return res.status(400).json({
+        error: `The key of schema "${schema.name}" has ${
+          schema.key.length
+        } columns: ${schema.key.join(", ")}`,
+      });
+    }
+
+    // Key values are stored with the types of their columns
+    let keyValues;
+    try {
+      keyValues = parts.map((part, index) =>
+        castValue(
+          part,
+          schema.columns.find((column) => column.name === schema.key[index])
+        )
+      );
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    // Admins look the key up across tenants, like the list, unless they
+    // pick one with ?tenant=
+    let tenant = req.apiKey.tenant;
+    if (req.apiKey.role === "admin") {
+      tenant = req.query.tenant;
+      if (tenant === undefined) {
+        const tenants = findProductTenants({ schema: schema.name, keyValues });
+        if (tenants.length > 1) {
+          return res.status(400).json({
+            error:
+              "The key is stored for several tenants. Pick one with ?tenant=",
+            // Records of admin uploads have no tenant
+            tenants: tenants.map((name) => name || null),
+          });
+        }
+        tenant = tenants.length === 1 ? tenants[0] : "";
+      }
+    }
+
+    const product = getProduct({ tenant, schema: schema.name, keyValues });
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+      });
+    }
+    res.json({ schema: schema.name, ...product });
+  } catch (error) {
+    logger.error("Error fetching product:", error);
+    res.status(500).json({
+      error: "Error fetching product",
+      details: error.message,
+    });
+  }
+});
+
+// Conversion endpoint: turn an uploaded file into CSV, XLSX or NDJSON
+app.post(
+  "/convert",
+  uploadLimiter,
+  checkQuotas,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: "No file uploaded",
+        });
+      }
+
+      const { type, format } = getQueueForFile(req.file.originalname);
+      const targetFormat = (req.query.to || req.body.to || "").toLowerCase();
+      const sourceFormat = format.exportFormat(req.file.originalname);
+
+      if (!EXPORT_FORMATS[targetFormat] || targetFormat === sourceFormat) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: `Invalid target format. Use ?to= with one of: ${Object.keys(
+            EXPORT_FORMATS
+          )
+            .filter((format) => format !== sourceFormat)
+            .join(", ")}`,
+        });
+      }
+
+      const field = requestField(req);
+      let options;
+      try {
+        options = format.readOptions(field);
+      } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+
+      // A single sheet can be converted, the first one by default
+      if (format.sheets) {
+        options.sheets = parseSheetSelection(field("sheet"));
+        if (options.sheets === "all" || options.sheets.length !== 1) {
+          fs.unlink(req.file.path, () => {});
+          return res.status(400).json({
+            error: "Only one sheet can be converted at a time",
+          });
+        }
+      }
+
+      let callbackUrl;
+      try {
+        callbackUrl =
+          (await readCallbackUrl(req)) || req.apiKey.webhookUrl || undefined;
+      } catch (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+
+      if (!(await reserveUpload(req, res))) return;
+
+      const job = await addUploadJob(req, convertQueue, {
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        sourceType: type,
+        targetFormat,
+        ...options,
+        callbackUrl,
+        tenant: req.apiKey.tenant,
+        apiKeyId: req.apiKey.id,
+        timestamp: Date.now(),
+      });
+
+      logger.info(`File queued for conversion`, {
+        jobId: job.id,
+        fileName: req.file.originalname,
+        sourceType: type,
+        targetFormat,
+      });
+
+      res.json({
+        message: "File queued for conversion",
+        jobId: job.id,
+        originalName: req.file.originalname,
+        sourceType: type,
+        targetFormat,
+      });
+    } catch (error) {
+      logger.error("Error in convert:", error);
+      res.status(500).json({
+        error: error.message || "Error processing conversion",
+      });
+    }
+  }
+);
+
+// Helper function to gather the job counts and the sliding-window metrics
+// of every queue
+async function gatherMetrics() {
+  const entries = await Promise.all(
+    Object.entries(queues).map(async ([type, queue]) => {
+      const [counts, windows] = await Promise.all([
+        queue.getJobCounts(),
+        collectQueueMetrics(queue),
+      ]);
+      return [type, { queue: queue.name, counts, windows }];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+// Job counts, throughput (jobs/s and rows/s), failure rates, and wait and
+// processing time percentiles (ms) per queue over 1, 5 and 15 minutes
+app.get("/metrics", requireMetricsAccess, async (req, res) => {
+  try {
+    const metrics = await gatherMetrics();
+
+    res.json({
+      ...Object.fromEntries(
+        Object.entries(metrics).map(([type, { counts, windows }]) => [
+          type,
+          { ...counts, windows },
+        ])
+      ),
+      totalActiveJobs: Object.values(metrics).reduce(
+        (sum, { counts }) => sum + counts.active,
+        0
+      ),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// The same metrics in the Prometheus text exposition format
+app.get("/metrics/prometheus", requireMetricsAccess, async (req, res) => {
+  try {
+    const metrics = await gatherMetrics();
+    res.type("text/plain; version=0.0.4");
+    res.send(
+      toPrometheus(
+        Object.fromEntries(
+          Object.values(metrics).map(({ queue, counts, windows }) => [
+            queue,
+            { counts, windows },
+          ])
+        )
+      )
+    );
+  } catch (error) {
+    logger.error("Error rendering Prometheus metrics:", error);
+    res.status(500).type("text/plain").send(`# error: ${error.message}\n`);
+  }
+});
+
+// Helper function to read a webhook URL from an admin request. An empty
+// value clears it.
+async function readWebhookUrl(body) {
+  if (body.webhookUrl === undefined) return undefined;
+  return body.webhookUrl ? parseCallbackUrl(body.webhookUrl) : null;
+}
+
+// Create an API key for a tenant. The key is only returned here.
+app.post("/admin/api-keys", requireAdmin, express.json(), async (req, res) => {
+  let options;
+  try {
+    options = {
+      tenant: parseTenant(req.body.tenant),
+      name: req.body.name,
+      role: parseRole(req.body.role),
+      webhookUrl: await readWebhookUrl(req.body),
+    };
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+    });
+  }
+
+  try {
+    const { key, webhookSecret, record } = await createApiKey(options);
+    logger.info(`API key ${record.id} created`, {
+      tenant: record.tenant,
+      role: record.role,
+    });
+
+    res.status(201).json({
+      message:
+        "API key created. Store it and its webhook secret now: they cannot be shown again",
+      key,
+      webhookSecret,
+      ...record,
+    });
+  } catch (error) {
+    logger.error("Error creating API key:", error);
+    res.status(500).json({
+      error: "Error creating API key",
+      details: error.message,
+    });
+  }
+});
+
+// List API keys, optionally of one tenant. Keys themselves are not stored.
+app.get("/admin/api-keys", requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      keys: await listApiKeys(req.query.tenant),
+    });
+  } catch (error) {
+    logger.error("Error listing API keys:", error);
+    res.status(500).json({
+      error: "Error listing API keys",
+      details: error.message,
+    });
+  }
+});
+
+// Rename a key or change the webhook URL used for its tenant's jobs
+app.patch(
+  "/admin/api-keys/:keyId",
+  requireAdmin,
+  express.json(),
+  async (req, res) => {
+    let webhookUrl;
+    try {
+      webhookUrl = await readWebhookUrl(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    try {
+      const record = await updateApiKey(req.params.keyId, {
+        name: req.body.name,
+        webhookUrl,
+        rotateWebhookSecret: req.body.rotateWebhookSecret === true,
+      });
+      if (!record) {
+        return res.status(404).json({
+          error: "API key not found",
+        });
+      }
+      res.json(record);
+    } catch (error) {
+      logger.error("Error updating API key:", error);
+      res.status(500).json({
+        error: "Error updating API key",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Revoke a key. Requests with it fail from now on.
+app.delete("/admin/api-keys/:keyId", requireAdmin, async (req, res) => {
+  try {
+    if (!(await revokeApiKey(req.params.keyId))) {
+      return res.status(404).json({
+        error: "API key not found",
+      });
+    }
+    logger.info(`API key ${req.params.keyId} revoked`);
+    res.json({
+      message: "API key revoked",
+      id: req.params.keyId,
+    });
+  } catch (error) {
+    logger.error("Error revoking API key:", error);
+    res.status(500).json({
+      error: "Error revoking API key",
+      details: error.message,
+    });
+  }
+});
+
+// Quotas and usage of the tenant of the API key: today's bytes and rows,
+// unfinished jobs, the upload rate limit and the usage of the last days.
+// Admin keys can pass ?tenant=.
+app.get("/usage", async (req, res) => {
+  try {
+    const tenant =
+      req.apiKey.role === "admin" && req.query.tenant
+        ? req.query.tenant
+        : req.apiKey.tenant;
+    if (!tenant) {
+      return res.status(400).json({
+        error: "This key has no tenant. Pass ?tenant=",
+      });
+    }
+
+    const [quotas, history] = await Promise.all([
+      getQuotaStatus(tenant, await countTenantJobs(tenant)),
+      getUsage(tenant, USAGE_DAYS),
+    ]);
+    setQuotaHeaders(res, quotas);
+
+    res.json({
+      tenant,
+      quotas,
+      rateLimit: {
+        uploads: UPLOAD_RATE_LIMIT.max,
+        windowMs: UPLOAD_RATE_LIMIT.windowMs,
+      },
+      history,
+    });
+  } catch (error) {
+    logger.error("Error fetching usage:", error);
+    res.status(500).json({
+      error: "Error fetching usage",
+      details: error.message,
+    });
+  }
+});
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
     status: "OK",
     timestamp: new Date(),
-    queues: {
-      csv: "ready",
-      excel: "ready",
-    },
+    queues: Object.fromEntries(WORKER_TYPES.map((type) => [type, "ready"])),
   });
 });
 
@@ -331,7 +1724,7 @@ app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
       return res.status(400).json({
-        error: "File size is too large. Max size is 5MB",
+        error: `File size is too large. Max size is ${MAX_UPLOAD_SIZE_MB}MB`,
       });
     }
   }
@@ -345,4 +1738,9 @@ app.use((error, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`API Server running on port ${PORT}`);
+  if (!ADMIN_API_KEY) {
+    logger.warn(
+      "ADMIN_API_KEY is not set: API keys can only be managed with an existing admin key"
+    );
+  }
 });
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream");
+const { parseCSV } = require("../parsers/csv");
+const { detectDialect, parseDialectOverrides } = require("../parsers/dialect");
+
+function isTsv(filename) {
+  return path.extname(filename).toLowerCase() === ".tsv";
+}
+
+// Delimited text files. The delimiter, quote, encoding and header row are
+// detected from the content, except the delimiter of .tsv files, which is a
+// tab.
+module.exports = {
+  name: "csv",
+  label: "CSV",
+  queue: "csv-processing",
+  extensions: [".csv", ".tsv"],
+  mimeTypes: ["csv", "tab-separated-values"],
+
+  detect(filename) {
+    return this.extensions.includes(path.extname(filename).toLowerCase());
+  },
+
+  exportFormat(filename) {
+    return isTsv(filename) ? null : "csv";
+  },
+
+  // Dialect settings that override detection, e.g. ?delimiter=;
+  readOptions(field) {
+    return {
+      dialect: parseDialectOverrides({
+        delimiter: field("delimiter"),
+        quote: field("quote"),
+        encoding: field("encoding"),
+        header: field("header"),
+      }),
+    };
+  },
+
+  inspect(filePath, data, schema) {
+    const overrides = isTsv(filePath)
+      ? { delimiter: "\t", ...data.dialect }
+      : data.dialect;
+    return { dialect: detectDialect(filePath, overrides, schema) };
+  },
+
+  // The header row is checked against the schema, when one is given, before
+  // any record is read
+  async *records(filePath, { schema, details, onHeaders }) {
+    const fileSize = fs.statSync(filePath).size;
+    const input = fs.createReadStream(filePath);
+    const entries = pipeline(
+      input,
+      ...parseCSV({ schema, onHeaders, dialect: details.dialect }),
+      () => {}
+    );
+
+    for await (const entry of entries) {
+      yield {
+        ...entry,
+        sheet: null,
+        progress: Math.min(
+          99,
+          Math.floor((input.bytesRead / Math.max(fileSize, 1)) * 100)
+        ),
+      };
+    }
+  },
+};
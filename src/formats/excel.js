@@ -0,0 +1,30 @@
+const path = require("path");
+const { parseExcel, parseSheetSelection } = require("../parsers/excel");
+
+// XLSX and legacy .xls workbooks. Each selected sheet is read with its own
+// header row.
+module.exports = {
+  name: "excel",
+  label: "Excel",
+  queue: "excel-processing",
+  extensions: [".xlsx", ".xls"],
+  mimeTypes: ["spreadsheetml", "excel"],
+  sheets: true,
+
+  detect(filename) {
+    return this.extensions.includes(path.extname(filename).toLowerCase());
+  },
+
+  exportFormat() {
+    return "xlsx";
+  },
+
+  // Sheets to process, e.g. ?sheets=all or ?sheets=1,Legend
+  readOptions(field) {
+    return { sheets: parseSheetSelection(field("sheets")) };
+  },
+
+  records(filePath, { data, onSheet }) {
+    return parseExcel(filePath, { sheets: data.sheets, onSheet });
+  },
+};
@@ -0,0 +1,81 @@
+// Registry of the input formats. A format module describes how files of that
+// format are recognized and read; the API routes uploads with it, and the
+// worker processes every registered format the same way.
+//
+// A format has:
+// - name: worker type, used in ?worker= and WORKER_TYPE
+// - label: name shown to users
+// - queue: name of the Bull queue its jobs go to
+// - extensions and mimeTypes: what uploads of the format look like
+// - detect(filename): whether a file is of this format
+// - records(filePath, { schema, data, details, onHeaders, onSheet }): async
+//   iterable of { sheet, rowNumber, record, progress } entries, where
+//   progress is the share of the file read so far (0-99)
+// and optionally:
+// - sheets: true when files hold several sheets, each with its own header
+//   row. onSheet({ index, name, headers }) is called when a sheet starts,
+//   and returning false skips it. Other formats call onHeaders(headers).
+// - readOptions(field): job data read from the upload request; field(name)
+//   returns a query or body parameter. Throws on invalid options.
+// - inspect(filePath, data, schema): details about the file, such as its
+//   dialect, that are added to the job result and passed to records()
+// - exportFormat(filename): the export format a file of this format is
+//   already in, if any; it is not offered as a conversion target
+
+const formats = new Map();
+
+function registerFormat(format) {
+  ["name", "label", "queue", "extensions", "detect", "records"].forEach(
+    (field) => {
+      if (!format[field]) {
+        throw new Error(`Format "${format.name}" has no ${field}`);
+      }
+    }
+  );
+  if (formats.has(format.name)) {
+    throw new Error(`Format "${format.name}" is already registered`);
+  }
+
+  formats.set(format.name, {
+    mimeTypes: [],
+    sheets: false,
+    readOptions: () => ({}),
+    inspect: () => ({}),
+    exportFormat: () => null,
+    ...format,
+  });
+}
+
+function getFormat(name) {
+  return formats.get(name) || null;
+}
+
+function listFormats() {
+  return Array.from(formats.values());
+}
+
+// The format of a file, from its name. Returns null for unknown formats.
+function detectFormat(filename) {
+  return listFormats().find((format) => format.detect(filename)) || null;
+}
+
+// Browsers and tools report all kinds of MIME types for the same file (CSV
+// files are often sent as application/vnd.ms-excel), so any MIME type of a
+// registered format is accepted
+function acceptsMimetype(mimetype) {
+  return listFormats().some((format) =>
+    format.mimeTypes.some((type) => mimetype.includes(type))
+  );
+}
+
+registerFormat(require("./csv"));
+registerFormat(require("./excel"));
+registerFormat(require("./json"));
+
+module.exports = {
+  registerFormat,
+  getFormat,
+  listFormats,
+  detectFormat,
+  acceptsMimetype,
+};
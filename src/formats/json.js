@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream");
+const { parseJSON } = require("../parsers/json");
+
+// Line-delimited files are already in the NDJSON export format
+const LINE_EXTENSIONS = [".ndjson", ".jsonl"];
+
+// JSON arrays of objects, and NDJSON / JSON Lines files with one object per
+// line. Nested objects are flattened into dotted columns and lists are read
+// as multiple values.
+module.exports = {
+  name: "json",
+  label: "JSON",
+  queue: "json-processing",
+  extensions: [".json", ...LINE_EXTENSIONS],
+  mimeTypes: ["json"],
+
+  detect(filename) {
+    return this.extensions.includes(path.extname(filename).toLowerCase());
+  },
+
+  exportFormat(filename) {
+    return LINE_EXTENSIONS.includes(path.extname(filename).toLowerCase())
+      ? "ndjson"
+      : null;
+  },
+
+  // Records may leave out optional fields, so there is no header row to check
+  // against the schema: a missing required field fails its record
+  async *records(filePath, { onHeaders }) {
+    const fileSize = fs.statSync(filePath).size;
+    const input = fs.createReadStream(filePath);
+    const entries = pipeline(input, ...parseJSON({ onHeaders }), () => {});
+
+    for await (const entry of entries) {
+      yield {
+        ...entry,
+        sheet: null,
+        progress: Math.min(
+          99,
+          Math.floor((input.bytesRead / Math.max(fileSize, 1)) * 100)
+        ),
+      };
+    }
+  },
+};
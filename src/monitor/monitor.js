@@ -1,14 +1,39 @@
 const express = require("express");
 const Bull = require("bull");
 const winston = require("winston");
-const cors = require("cors");
+const path = require("path");
+const { listFormats } = require("../formats");
+const { authenticateKey } = require("../shared/apiKeys");
 
 const app = express();
-app.use(cors());
 app.use(express.json());
 
 const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
-const csvQueue = new Bull("csv-processing", REDIS_URL);
+
+// Queues of the system, listed even while they have never had a job. Other
+// queues are discovered from Redis.
+const DEAD_LETTER_QUEUE = "dead-letter";
+const KNOWN_QUEUES = [
+  ...listFormats().map((format) => format.queue),
+  "file-conversion",
+  DEAD_LETTER_QUEUE,
+  "webhook-delivery",
+];
+
+// Jobs listed per queue and state
+const JOB_LIMITS = {
+  active: 50,
+  waiting: 10,
+  delayed: 10,
+  failed: 10,
+  completed: 10,
+};
+const RECENT_FAILURES = 20;
+
+// Redis is searched for other queues at most this often: the search goes
+// through the whole keyspace
+const DISCOVERY_INTERVAL_MS =
+  parseInt(process.env.QUEUE_DISCOVERY_INTERVAL_MS, 10) || 5 * 60 * 1000;
 
 const logger = winston.createLogger({
   level: "info",
@@ -26,26 +51,209 @@ const logger = winston.createLogger({
   ],
 });
 
-app.get("/metrics", async (req, res) => {
+// The monitor lists the jobs of every tenant, so everything but /health
+// needs an admin key: sent like on the API, or as the password of HTTP Basic
+// authentication, which lets browsers open the dashboard
+async function requireAdmin(req, res, next) {
+  if (req.path === "/health") return next();
+
+  const header = req.get("Authorization") || "";
+  let key = req.get("X-API-Key");
+  if (!key && header.startsWith("Bearer ")) key = header.slice(7).trim();
+  if (!key && header.startsWith("Basic ")) {
+    const credentials = Buffer.from(header.slice(6), "base64").toString();
+    key = credentials.slice(credentials.indexOf(":") + 1);
+  }
+
+  let apiKey = null;
   try {
-    const [completed, failed, active, delayed, waiting] = await Promise.all([
-      csvQueue.getCompleted(),
-      csvQueue.getFailed(),
-      csvQueue.getActive(),
-      csvQueue.getDelayed(),
-      csvQueue.getWaiting(),
-    ]);
+    apiKey = await authenticateKey(key);
+  } catch (error) {
+    return next(error);
+  }
+  if (!apiKey) {
+    res.set("WWW-Authenticate", 'Basic realm="monitor", charset="UTF-8"');
+    return res.status(401).json({
+      error: "Admin API key required",
+    });
+  }
+  if (apiKey.role !== "admin") {
+    return res.status(403).json({
+      error: "Admin API key required",
+    });
+  }
+  next();
+}
+
+app.use(requireAdmin);
 
-    const stats = await csvQueue.getJobCounts();
+const queues = new Map();
+
+function getQueue(name) {
+  if (!queues.has(name)) {
+    queues.set(name, new Bull(name, REDIS_URL));
+  }
+  return queues.get(name);
+}
+
+// Every Bull queue keeps a job id counter at bull:<name>:id
+async function scanQueueNames() {
+  const client = getQueue(KNOWN_QUEUES[0]).client;
+  const names = new Set();
+  let cursor = "0";
+  do {
+    const [next, keys] = await client.scan(
+      cursor,
+      "MATCH",
+      "bull:*:id",
+      "COUNT",
+      1000
+    );
+    keys.forEach((key) => {
+      const match = /^bull:([^:]+):id$/.exec(key);
+      if (match) names.add(match[1]);
+    });
+    cursor = next;
+  } while (cursor !== "0");
+  return names;
+}
+
+// The last search for queues, shared by the requests until it is due again
+let discovery = null;
+
+async function discoverQueues() {
+  if (!discovery || Date.now() - discovery.startedAt >= DISCOVERY_INTERVAL_MS) {
+    const current = { startedAt: Date.now(), names: scanQueueNames() };
+    // A failed search is tried again on the next request
+    current.names.catch(() => {
+      if (discovery === current) discovery = null;
+    });
+    discovery = current;
+  }
+  const names = new Set([...KNOWN_QUEUES, ...(await discovery.names)]);
+  return Array.from(names).map(getQueue);
+}
+
+// What a job is about, without its full data. Webhook deliveries point at
+// the job they belong to.
+function describeData(data = {}) {
+  return {
+    originalName: data.originalName || null,
+    source: data.queue && data.jobId ? `${data.queue}:${data.jobId}` : null,
+    event: data.payload ? data.payload.event : undefined,
+  };
+}
+
+function describeProgress(progress) {
+  return progress && typeof progress === "object"
+    ? progress.percentage
+    : progress;
+}
+
+// Trimmed view of a job for the dashboard
+function jobView(job) {
+  return {
+    id: job.id,
+    ...describeData(job.data),
+    progress: describeProgress(job._progress),
+    attemptsMade: job.attemptsMade,
+    attempts: job.opts.attempts || 1,
+    failedReason: job.failedReason,
+    timestamps: {
+      created: job.timestamp,
+      started: job.processedOn,
+      finished: job.finishedOn,
+    },
+  };
+}
+
+// Dead-letter entries describe the job that failed for good
+function deadLetterView(entry) {
+  const {
+    queue,
+    jobId,
+    data,
+    attemptsMade,
+    failedReason,
+    createdOn,
+    failedOn,
+  } = entry.data;
+  return {
+    id: entry.id,
+    originalName: data.originalName || null,
+    source: `${queue}:${jobId}`,
+    attemptsMade,
+    failedReason,
+    timestamps: { created: createdOn, finished: failedOn },
+  };
+}
+
+// Processes working a queue. Each one holds a blocking connection that
+// waits for the next job.
+async function getWorkers(queue) {
+  const clients = (await queue.getWorkers()) || [];
+  return clients
+    .filter((client) => client.cmd === "brpoplpush")
+    .map((client) => ({
+      addr: client.addr,
+      connectedSeconds: Number(client.age),
+      idleSeconds: Number(client.idle),
+    }));
+}
+
+async function describeQueue(queue) {
+  const states = Object.keys(JOB_LIMITS);
+  const view = queue.name === DEAD_LETTER_QUEUE ? deadLetterView : jobView;
+  const [counts, isPaused, workers, ...jobs] = await Promise.all([
+    queue.getJobCounts(),
+    queue.isPaused(),
+    getWorkers(queue),
+    ...states.map((state) => queue.getJobs([state], 0, JOB_LIMITS[state] - 1)),
+  ]);
+
+  return {
+    name: queue.name,
+    isPaused,
+    counts,
+    workers,
+    jobs: Object.fromEntries(
+      states.map((state, index) => [
+        state,
+        jobs[index].filter(Boolean).map(view),
+      ])
+    ),
+  };
+}
+
+// Failed jobs of every queue, and dead-lettered ones, newest first
+function recentFailures(queueViews) {
+  return queueViews
+    .flatMap((queue) => {
+      const failed =
+        queue.name === DEAD_LETTER_QUEUE
+          ? [...queue.jobs.waiting, ...queue.jobs.delayed]
+          : queue.jobs.failed;
+      return failed.map((job) => ({ queue: queue.name, ...job }));
+    })
+    .sort((a, b) => (b.timestamps.finished || 0) - (a.timestamps.finished || 0))
+    .slice(0, RECENT_FAILURES);
+}
+
+app.get("/metrics", async (req, res) => {
+  try {
+    const queueViews = await Promise.all(
+      (await discoverQueues()).map(describeQueue)
+    );
 
     res.json({
-      stats,
-      jobs: {
-        completed: completed.slice(0, 10),
-        failed: failed.slice(0, 10),
-        active,
-        delayed,
-        waiting: waiting.slice(0, 10),
+      timestamp: new Date(),
+      queues: queueViews,
+      recentFailures: recentFailures(queueViews),
+      totals: {
+        waiting: queueViews.reduce((sum, q) => sum + q.counts.waiting, 0),
+        active: queueViews.reduce((sum, q) => sum + q.counts.active, 0),
+        failed: queueViews.reduce((sum, q) => sum + q.counts.failed, 0),
+        workers: queueViews.reduce((sum, q) => sum + q.workers.length, 0),
       },
     });
   } catch (error) {
@@ -54,6 +262,12 @@ app.get("/metrics", async (req, res) => {
   }
 });
 
+// Dashboard page. It is a single file with its own styles and scripts, and
+// polls /metrics.
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "dashboard.html"));
+});
+
 app.get("/health", (req, res) => {
   res.json({ status: "OK", timestamp: new Date() });
 });
@@ -0,0 +1,72 @@
+const { Transform } = require("stream");
+const csvParser = require("csv-parse");
+const { validateHeaders } = require("../schemas");
+const { createDecoder } = require("./dialect");
+
+// Used when a file is parsed without detecting its dialect first
+const DEFAULT_DIALECT = {
+  encoding: "utf-8",
+  delimiter: ",",
+  quote: '"',
+  header: true,
+};
+
+// Column names for a file without header row: the schema columns in order,
+// or Column1..N
+function positionalHeaders(schema, count) {
+  return Array.from({ length: count }, (_, index) =>
+    schema && schema.columns[index]
+      ? schema.columns[index].name
+      : `Column${index + 1}`
+  );
+}
+
+// Parse stage: turn the file bytes into { rowNumber, record } objects.
+// Returns the streams to place in a pipeline after the file stream. The
+// dialect (see detectDialect) sets the encoding, delimiter, quote character
+// and whether the first row is a header row. When a schema is given, the
+// header row is checked before any record is read; onHeaders receives the
+// header row.
+function parseCSV({ schema, onHeaders, dialect = DEFAULT_DIALECT } = {}) {
+  const parser = csvParser({
+    delimiter: dialect.delimiter,
+    skip_empty_lines: true,
+    trim: true,
+    // Add options to handle quoted fields and multiple delimiters
+    relax_column_count: true,
+    relax_quotes: true,
+    quote: dialect.quote,
+    escape: dialect.quote,
+    // Keep line numbers so errors can point at the source row
+    info: true,
+  });
+
+  let headers = null;
+  const toEntry = new Transform({
+    objectMode: true,
+    transform({ record: values, info }, encoding, callback) {
+      if (!headers) {
+        headers = dialect.header
+          ? values
+          : positionalHeaders(schema, values.length);
+        try {
+          if (schema) validateHeaders(headers, schema);
+          if (onHeaders) onHeaders(headers);
+        } catch (error) {
+          return callback(error);
+        }
+        if (dialect.header) return callback();
+      }
+
+      const record = {};
+      values.forEach((value, index) => {
+        if (headers[index]) record[headers[index]] = value;
+      });
+      callback(null, { rowNumber: info.lines, record });
+    },
+  });
+
+  return [createDecoder(dialect.encoding), parser, toEntry];
+}
+
+module.exports = { parseCSV };
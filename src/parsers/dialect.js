@@ -0,0 +1,230 @@
+const fs = require("fs");
+const { Transform } = require("stream");
+const parseSync = require("csv-parse/lib/sync");
+
+// How much of the file is read to detect the dialect
+const SAMPLE_SIZE = 64 * 1024;
+const SAMPLE_ROWS = 20;
+
+const DELIMITERS = [",", ";", "\t", "|"];
+const QUOTES = ['"', "'"];
+const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252"];
+
+const BOMS = [
+  { encoding: "utf-8", bytes: Buffer.from([0xef, 0xbb, 0xbf]) },
+  { encoding: "utf-16le", bytes: Buffer.from([0xff, 0xfe]) },
+  { encoding: "utf-16be", bytes: Buffer.from([0xfe, 0xff]) },
+];
+
+function readSample(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.slice(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Detect the encoding from the byte order mark, the position of zero bytes
+// (UTF-16 without BOM) or whether the bytes are valid UTF-8
+function detectEncoding(sample) {
+  const bom = BOMS.find(({ bytes }) =>
+    sample.slice(0, bytes.length).equals(bytes)
+  );
+  if (bom) return { encoding: bom.encoding, bom: true };
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length / 4 && evenZeros === 0) {
+    return { encoding: "utf-16le", bom: false };
+  }
+  if (evenZeros > sample.length / 4 && oddZeros === 0) {
+    return { encoding: "utf-16be", bom: false };
+  }
+
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return { encoding: "utf-8", bom: false };
+  } catch (error) {
+    return { encoding: "windows-1252", bom: false };
+  }
+}
+
+// Decoded sample text, cut at the last complete line
+function decodeSample(sample, encoding) {
+  const text = new TextDecoder(encoding).decode(sample);
+  if (sample.length < SAMPLE_SIZE) return text;
+
+  const lastNewline = text.lastIndexOf("\n");
+  return lastNewline > 0 ? text.slice(0, lastNewline) : text;
+}
+
+// The quote character is the one that opens fields most often
+function detectQuote(text) {
+  const counts = QUOTES.map((quote) => {
+    const pattern = new RegExp(`(^|[,;\\t|])${quote}`, "gm");
+    return (text.match(pattern) || []).length;
+  });
+  return counts[1] > counts[0] ? "'" : '"';
+}
+
+function parseSampleRows(text, delimiter, quote) {
+  return parseSync(text, {
+    delimiter,
+    quote,
+    escape: quote,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    to: SAMPLE_ROWS,
+  });
+}
+
+// Pick the delimiter that splits the sample rows into the most consistent
+// number of fields
+function detectDelimiter(text, quote) {
+  let best = { delimiter: ",", score: 0, fields: 0 };
+
+  DELIMITERS.forEach((delimiter) => {
+    let rows;
+    try {
+      rows = parseSampleRows(text, delimiter, quote);
+    } catch (error) {
+      return;
+    }
+    if (rows.length === 0) return;
+
+    // Most common field count, and how many rows share it
+    const frequencies = new Map();
+    rows.forEach((row) => {
+      frequencies.set(row.length, (frequencies.get(row.length) || 0) + 1);
+    });
+    const [fields, count] = Array.from(frequencies.entries()).sort(
+      (a, b) => b[1] - a[1] || b[0] - a[0]
+    )[0];
+    if (fields < 2) return;
+
+    const score = count / rows.length;
+    if (score > best.score || (score === best.score && fields > best.fields)) {
+      best = { delimiter, score, fields };
+    }
+  });
+
+  return best.delimiter;
+}
+
+function isNumeric(value) {
+  return value.trim() !== "" && !Number.isNaN(Number(value));
+}
+
+// A header row names the columns of the schema, or else has no empty or
+// numeric cells
+function detectHeader(rows, schema) {
+  if (rows.length === 0) return true;
+  const firstRow = rows[0].map((cell) => cell.trim());
+
+  if (schema) {
+    const names = schema.columns.map((column) => column.name);
+    if (firstRow.some((cell) => names.includes(cell))) return true;
+  }
+
+  return firstRow.every((cell) => cell !== "" && !isNumeric(cell));
+}
+
+// Detect the dialect of a CSV file: encoding, BOM, delimiter, quote
+// character and whether the first row is a header row. Any setting given in
+// overrides wins over the detected one.
+function detectDialect(filePath, overrides = {}, schema = null) {
+  const sample = readSample(filePath);
+  const detected = detectEncoding(sample);
+  const encoding = overrides.encoding || detected.encoding;
+
+  const text = decodeSample(sample, encoding);
+  const quote = overrides.quote || detectQuote(text);
+  const delimiter = overrides.delimiter || detectDelimiter(text, quote);
+
+  let header = overrides.header;
+  if (header === undefined) {
+    let rows = [];
+    try {
+      rows = parseSampleRows(text, delimiter, quote);
+    } catch (error) {
+      // Leave it to the real parser to report the error
+    }
+    header = detectHeader(rows, schema);
+  }
+
+  return {
+    encoding,
+    bom: detected.encoding === encoding && detected.bom,
+    delimiter,
+    quote,
+    header,
+    overrides: Object.keys(overrides).filter(
+      (key) => overrides[key] !== undefined
+    ),
+  };
+}
+
+// Decode the file bytes to UTF-8 text for the CSV parser. The BOM, if any,
+// is dropped by the decoder.
+function createDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+}
+
+// Check and normalize dialect settings given at upload time. Throws on
+// invalid values.
+function parseDialectOverrides({ delimiter, quote, encoding, header } = {}) {
+  const overrides = {};
+
+  if (delimiter) {
+    overrides.delimiter = delimiter === "tab" ? "\t" : delimiter;
+    if (overrides.delimiter.length !== 1) {
+      throw new Error("delimiter must be a single character or 'tab'");
+    }
+  }
+  if (quote) {
+    if (quote.length !== 1) {
+      throw new Error("quote must be a single character");
+    }
+    overrides.quote = quote;
+  }
+  if (encoding) {
+    overrides.encoding = encoding.toLowerCase();
+    if (!ENCODINGS.includes(overrides.encoding)) {
+      throw new Error(`encoding must be one of: ${ENCODINGS.join(", ")}`);
+    }
+  }
+  if (header !== undefined && header !== "") {
+    if (!["true", "false"].includes(String(header))) {
+      throw new Error("header must be true or false");
+    }
+    overrides.header = String(header) === "true";
+  }
+
+  return overrides;
+}
+
+module.exports = {
+  ENCODINGS,
+  detectDialect,
+  createDecoder,
+  parseDialectOverrides,
+};
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const { cellText } = require("./types");
+
+// Legacy .xls (BIFF) workbooks are OLE2 compound documents
+const OLE2_SIGNATURE = Buffer.from("d0cf11e0a1b11ae1", "hex");
+
+// Check the file signature, since the extension is not reliable: some
+// ".xls" files are really XLSX workbooks
+function isLegacyWorkbook(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(OLE2_SIGNATURE.length);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return bytesRead === header.length && header.equals(OLE2_SIGNATURE);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Parse a sheet selection: "all", or a comma-separated list of 1-based
+// sheet indices and sheet names (e.g. "1,Legend"). Defaults to the first
+// sheet.
+function parseSheetSelection(selection) {
+  if (selection === undefined || selection === null || selection === "") {
+    return [1];
+  }
+  if (selection === "all" || Array.isArray(selection)) return selection;
+
+  return selection
+    .toString()
+    .split(",")
+    .map((selector) => selector.trim())
+    .filter((selector) => selector)
+    .map((selector) => (/^\d+$/.test(selector) ? Number(selector) : selector));
+}
+
+function isSelected(sheet, selection) {
+  if (selection === "all") return true;
+  return selection.some((selector) =>
+    typeof selector === "number"
+      ? selector === sheet.index
+      : selector === sheet.name
+  );
+}
+
+// Throw if a selected sheet does not exist in the workbook
+function checkSelection(sheetNames, selection) {
+  if (selection === "all") return;
+
+  const missing = selection.filter((selector) =>
+    typeof selector === "number"
+      ? selector < 1 || selector > sheetNames.length
+      : !sheetNames.includes(selector)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Worksheet not found: ${missing.join(
+        ", "
+      )} (workbook has ${sheetNames.join(", ")})`
+    );
+  }
+}
+
+// Stream rows from the selected worksheets of an XLSX workbook with
+// ExcelJS's streaming reader, so the workbook is never fully loaded in
+// memory
+async function* parseXlsx(filePath, selection, onSheet) {
+  const fileSize = fs.statSync(filePath).size;
+  const input = fs.createReadStream(filePath);
+  const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    worksheets: "emit",
+    sharedStrings: "cache",
+    // Styles are needed to tell dates apart from plain numbers
+    styles: "cache",
+    hyperlinks: "ignore",
+  });
+
+  const seen = [];
+  let checked = false;
+
+  try {
+    for await (const worksheetReader of workbookReader) {
+      // Sheet order comes from the workbook, not from the zip entries
+      const sheetNames = ((workbookReader.model || {}).sheets || []).map(
+        (sheet) => sheet.name
+      );
+      if (!checked && sheetNames.length > 0) {
+        checkSelection(sheetNames, selection);
+        checked = true;
+      }
+
+      const position = sheetNames.indexOf(worksheetReader.name);
+      const sheet = {
+        index: position >= 0 ? position + 1 : seen.length + 1,
+        name: worksheetReader.name,
+      };
+      seen.push(sheet.name);
+      if (!isSelected(sheet, selection)) continue;
+
+      let headers = null;
+      let skip = false;
+
+      for await (const row of worksheetReader) {
+        if (skip) continue;
+
+        // The first row holds the headers
+        if (!headers) {
+          headers = Array.from(row.values.slice(1), cellText);
+          if (onSheet && onSheet({ ...sheet, headers }) === false) {
+            skip = true;
+          }
+          continue;
+        }
+
+        // Values are left as ExcelJS returns them (numbers, Dates, formula
+        // and hyperlink objects) for the type layer to coerce
+        const record = {};
+        row.values.slice(1).forEach((value, index) => {
+          const header = headers[index];
+          if (!header) return;
+          record[header] = value;
+        });
+
+        yield {
+          sheet,
+          rowNumber: row.number,
+          record,
+          progress: Math.min(
+            99,
+            Math.floor((input.bytesRead / Math.max(fileSize, 1)) * 100)
+          ),
+        };
+      }
+
+      // An empty sheet has no header row
+      if (!headers && onSheet) {
+        onSheet({ ...sheet, headers: [] });
+      }
+
+      if (selection !== "all" && selection.length === 1) {
+        // The only selected sheet is done
+        if (!checked) checkSelection(seen, selection);
+        return;
+      }
+    }
+
+    if (!checked) checkSelection(seen, selection);
+  } finally {
+    input.destroy();
+  }
+}
+
+// Read the selected worksheets of a legacy .xls (BIFF) workbook. The BIFF
+// format cannot be streamed, so the workbook is read with SheetJS in one go;
+// BIFF8 sheets are limited to 65,536 rows, which keeps this bounded.
+async function* parseXls(filePath, selection, onSheet) {
+  const workbook = XLSX.readFile(filePath, { cellDates: true });
+  const sheetNames = workbook.SheetNames;
+  checkSelection(sheetNames, selection);
+
+  const selected = sheetNames
+    .map((name, position) => ({ index: position + 1, name }))
+    .filter((sheet) => isSelected(sheet, selection));
+
+  // Rows as arrays, keeping blank rows so row numbers stay accurate
+  const sheetRows = selected.map((sheet) => {
+    const worksheet = workbook.Sheets[sheet.name];
+    const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1:A1");
+    return {
+      firstRow: range.s.r + 1,
+      rows: XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        raw: true,
+        defval: null,
+        blankrows: true,
+      }),
+    };
+  });
+  const totalRows = sheetRows.reduce((sum, { rows }) => sum + rows.length, 0);
+
+  let rowsRead = 0;
+  for (const [position, sheet] of selected.entries()) {
+    const { firstRow, rows } = sheetRows[position];
+    let headers = null;
+    let skip = false;
+
+    for (const [offset, values] of rows.entries()) {
+      rowsRead++;
+      if (skip) continue;
+      if (values.every((value) => value === null || value === "")) continue;
+
+      // The first row holds the headers
+      if (!headers) {
+        headers = values.map((value) =>
+          value === null ? undefined : cellText(value)
+        );
+        if (onSheet && onSheet({ ...sheet, headers }) === false) {
+          skip = true;
+        }
+        continue;
+      }
+
+      const record = {};
+      values.forEach((value, index) => {
+        const header = headers[index];
+        if (!header) return;
+        record[header] = value === null ? undefined : value;
+      });
+
+      yield {
+        sheet,
+        rowNumber: firstRow + offset,
+        record,
+        progress: Math.min(99, Math.floor((rowsRead / totalRows) * 100)),
+      };
+    }
+
+    // An empty sheet has no header row
+    if (!headers && onSheet) {
+      onSheet({ ...sheet, headers: [] });
+    }
+  }
+}
+
+// Read rows from the selected worksheets of an Excel workbook, XLSX or
+// legacy .xls. Each sheet uses its own first row as header row.
+// onSheet({ index, name, headers }) is called when a sheet starts;
+// returning false skips the rows of that sheet. Each row is yielded with
+// its sheet, row number and the share of the file read so far (0-100).
+function parseExcel(filePath, { sheets = [1], onSheet } = {}) {
+  const selection = parseSheetSelection(sheets);
+  return isLegacyWorkbook(filePath)
+    ? parseXls(filePath, selection, onSheet)
+    : parseXlsx(filePath, selection, onSheet);
+}
+
+module.exports = { parseExcel, parseSheetSelection };
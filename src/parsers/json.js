@@ -0,0 +1,160 @@
+const { Transform } = require("stream");
+const { createDecoder } = require("./dialect");
+
+const WHITESPACE = new Set([" ", "\t", "\r", "\n"]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Turn a parsed object into a flat record. Nested objects become dotted
+// columns ({ "Stock": { "Quantity": 3 } } gives "Stock.Quantity"); lists
+// keep their items, which the schema reads as multiple values.
+function flattenRecord(object, prefix = "", record = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix + key;
+    if (isPlainObject(value)) {
+      flattenRecord(value, `${name}.`, record);
+    } else if (Array.isArray(value)) {
+      record[name] = value
+        .filter((item) => item !== null && item !== undefined)
+        .map((item) =>
+          typeof item === "object" ? JSON.stringify(item) : item
+        );
+    } else {
+      record[name] = value;
+    }
+  });
+  return record;
+}
+
+// Parse stage: turn the file bytes into { rowNumber, record } objects.
+// Returns the streams to place in a pipeline after the file stream. A file
+// holds either one array of objects (JSON) or a sequence of objects, usually
+// one per line (NDJSON / JSON Lines). Objects are cut out of the text as it
+// is read, so only one of them is in memory at a time. rowNumber is the
+// position of an object in the file, from 1, so objects that share a line
+// still get a row each. onHeaders receives the columns of the first record.
+function parseJSON({ onHeaders } = {}) {
+  let layout = null; // "array" or "lines", from the first character
+  let arrayClosed = false;
+  let line = 1;
+  let position = 0; // objects read so far
+
+  // The object being read
+  let text = "";
+  let depth = 0;
+  let startLine = 0;
+  let inString = false;
+  let escaped = false;
+
+  let headersSent = false;
+
+  function fail(message) {
+    return new Error(`Invalid JSON on line ${line}: ${message}`);
+  }
+
+  function toEntry(source) {
+    position++;
+    let value;
+    try {
+      value = JSON.parse(source);
+    } catch (error) {
+      throw new Error(
+        `Invalid JSON in object ${position}, starting on line ${startLine}: ${error.message}`
+      );
+    }
+    const record = flattenRecord(value);
+    if (!headersSent) {
+      headersSent = true;
+      if (onHeaders) onHeaders(Object.keys(record));
+    }
+    return { rowNumber: position, record };
+  }
+
+  // Outside an object only whitespace, the array brackets and the commas
+  // between array items are allowed
+  function between(char) {
+    if (WHITESPACE.has(char)) return;
+    if (arrayClosed) throw fail(`unexpected "${char}" after the array`);
+    if (layout === null && char === "[") {
+      layout = "array";
+      return;
+    }
+    if (layout === "array" && char === "]") {
+      arrayClosed = true;
+      return;
+    }
+    if (layout === "array" && char === ",") return;
+    throw fail(`expected an object, got "${char}"`);
+  }
+
+  const splitter = new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      const input = chunk.toString();
+      // Start of the part of the chunk that belongs to the current object
+      let start = depth > 0 ? 0 : -1;
+
+      try {
+        for (let i = 0; i < input.length; i++) {
+          const char = input[i];
+          if (char === "\n") line++;
+
+          if (depth === 0) {
+            if (char !== "{") {
+              between(char);
+              continue;
+            }
+            if (layout === null) layout = "lines";
+            if (arrayClosed) throw fail('unexpected "{" after the array');
+            start = i;
+            startLine = line;
+            depth = 1;
+            continue;
+          }
+
+          if (inString) {
+            if (escaped) escaped = false;
+            else if (char === "\\") escaped = true;
+            else if (char === '"') inString = false;
+          } else if (char === '"') {
+            inString = true;
+          } else if (char === "{" || char === "[") {
+            depth++;
+          } else if (char === "}" || char === "]") {
+            depth--;
+            if (depth === 0) {
+              this.push(toEntry(text + input.slice(start, i + 1)));
+              text = "";
+              start = -1;
+            }
+          }
+        }
+      } catch (error) {
+        return callback(error);
+      }
+
+      if (depth > 0) text += input.slice(start);
+      callback();
+    },
+    flush(callback) {
+      if (depth > 0) {
+        return callback(
+          new Error(
+            `Invalid JSON: the object starting on line ${startLine} is not closed`
+          )
+        );
+      }
+      if (layout === "array" && !arrayClosed) {
+        return callback(new Error("Invalid JSON: the array is not closed"));
+      }
+      callback();
+    },
+  });
+
+  // JSON text is UTF-8; a BOM is dropped by the decoder
+  return [createDecoder("utf-8"), splitter];
+}
+
+module.exports = { parseJSON };
@@ -0,0 +1,341 @@
+// Type layer between the parsers and the workers. CSV cells are strings,
+// Excel cells are whatever the reader returns (numbers, Dates, formula,
+// hyperlink and rich text objects), JSON values are already typed. Columns
+// declared by the schema get its type; the others get a type inferred from
+// the first rows of their file or sheet. Every cell is coerced to the
+// canonical value of the type of its column:
+//
+// - integer and decimal: JavaScript numbers
+// - boolean: true or false
+// - date: ISO 8601 text, "2024-03-01" for dates without a time of day and
+//   "2024-03-01T09:30:00.000Z" otherwise
+// - string: the text of the cell as it is in the file, e.g. "1.00" or "TRUE"
+//
+// Cells that do not fit the type of their column (and Excel error cells such
+// as #N/A) keep their text and are reported.
+
+const { transformHeaders } = require("../schemas/transforms");
+const { castValue } = require("../schemas/values");
+
+const TYPE_SAMPLE_ROWS = parseInt(process.env.TYPE_SAMPLE_ROWS) || 500;
+
+// Share of the sampled cells of a column that must fit a type for the
+// column to get it; the other cells are reported
+const TYPE_THRESHOLD = 0.9;
+
+// Uncoercible cells listed in a report
+const REPORTED_CELLS = 20;
+
+// Candidate column types, from the narrowest
+const COLUMN_TYPES = ["integer", "decimal", "boolean", "date"];
+
+// Types of the columns a schema declares. Multi-value columns are split by
+// the schema later, so they are read as text.
+const SCHEMA_TYPES = {
+  string: "string",
+  number: "decimal",
+  integer: "integer",
+  boolean: "boolean",
+};
+
+// Schema types of the column types, to cast the cells of declared columns
+const CAST_TYPES = {
+  decimal: "number",
+  integer: "integer",
+  boolean: "boolean",
+};
+
+const INTEGER = /^[+-]?(?:0|[1-9]\d*)$/;
+const DECIMAL = /^[+-]?(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+const BOOLEAN = /^(?:true|false)$/i;
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function formatDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+}
+
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === Number(day)
+  );
+}
+
+function readNumber(number) {
+  if (!Number.isFinite(number)) return { type: "error", value: String(number) };
+  return {
+    type: Number.isSafeInteger(number) ? "integer" : "decimal",
+    value: number,
+  };
+}
+
+// Typed value of a text cell, with the text itself. Numbers with leading
+// zeros (codes such as "007"), integers too long to be exact (barcodes) and
+// dates in local formats (03/04/2024) stay text.
+function readText(text) {
+  const cell = readTextValue(text);
+  return cell && { ...cell, text };
+}
+
+function readTextValue(text) {
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+
+  if (INTEGER.test(trimmed)) {
+    return Number.isSafeInteger(Number(trimmed))
+      ? { type: "integer", value: Number(trimmed) }
+      : { type: "string", value: text };
+  }
+  if (DECIMAL.test(trimmed) && Number.isFinite(Number(trimmed))) {
+    return { type: "decimal", value: Number(trimmed) };
+  }
+  if (BOOLEAN.test(trimmed)) {
+    return { type: "boolean", value: trimmed.toLowerCase() === "true" };
+  }
+
+  let match = DATE.exec(trimmed);
+  if (match && isCalendarDate(match[1], match[2], match[3])) {
+    return { type: "date", value: trimmed };
+  }
+  match = DATE_TIME.exec(trimmed);
+  if (match && isCalendarDate(match[1], match[2], match[3])) {
+    // Times without a zone are read as UTC, like Excel dates
+    const zone = match[8] || "Z";
+    const date = new Date(
+      `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${
+        match[6] || "00"
+      }.${(match[7] || "0").padEnd(3, "0")}${zone}`
+    );
+    if (!Number.isNaN(date.getTime())) {
+      return { type: "date", value: formatDate(date) };
+    }
+  }
+
+  return { type: "string", value: text };
+}
+
+// Typed value of a cell: { type, value }, or null for blank cells. type is
+// one of the column types, "error" for cells that hold no usable value and
+// "list" for lists of values (JSON arrays), which are left as they are.
+function readCell(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return readNumber(value);
+  if (typeof value === "boolean") return { type: "boolean", value };
+  if (typeof value === "string") return readText(value);
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? { type: "error", value: "Invalid date" }
+      : { type: "date", value: formatDate(value) };
+  }
+  if (Array.isArray(value)) return { type: "list", value };
+
+  // ExcelJS cell values
+  if (value.richText) {
+    return readText(value.richText.map((part) => part.text).join(""));
+  }
+  if (value.formula !== undefined || value.sharedFormula !== undefined) {
+    return value.result === undefined
+      ? { type: "error", value: `=${value.formula || value.sharedFormula}` }
+      : readCell(value.result);
+  }
+  if (value.error !== undefined) return { type: "error", value: value.error };
+  if (value.hyperlink !== undefined || value.text !== undefined) {
+    return readCell(value.text);
+  }
+  return { type: "error", value: JSON.stringify(value) };
+}
+
+// Text of a typed cell: the text of text cells as it was read, the
+// canonical text of numbers, booleans and dates
+function toText(cell) {
+  if (cell.text !== undefined) return cell.text;
+  if (cell.type === "boolean") return cell.value ? "true" : "false";
+  return String(cell.value);
+}
+
+// Text of a cell, e.g. of an Excel header cell
+function cellText(value) {
+  const cell = readCell(value);
+  return cell ? toText(cell) : "";
+}
+
+// Canonical value of a cell in a column of the given type, or undefined when
+// the cell does not fit the type
+function coerceCell(cell, type) {
+  if (cell.type === "error") return undefined;
+  if (cell.type === "list") return cell.value;
+  if (type === "string") return toText(cell);
+  if (type === "decimal" && cell.type === "integer") return cell.value;
+  return cell.type === type ? cell.value : undefined;
+}
+
+// Canonical value of a cell in a column the schema declares, or undefined
+// when the cell does not fit its type. Cells are read the way the schema's
+// cast step reads values, so "1e3" is not a number and "yes" is a boolean.
+function castCell(cell, type) {
+  if (cell.type === "error" || cell.type === "list" || type === "string") {
+    return coerceCell(cell, type);
+  }
+  try {
+    return castValue(cell.text !== undefined ? cell.text : cell.value, {
+      name: "",
+      type: CAST_TYPES[type],
+    });
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Type of a column from the typed values of its cells: the narrowest type
+// most cells fit, so a stray "n/a" among numbers is reported rather than
+// turning the column into text. Integers fit decimal columns.
+function inferType(cells) {
+  const values = cells.filter(
+    (cell) => cell.type !== "error" && cell.type !== "list"
+  );
+  if (values.length === 0) return "string";
+
+  const type = COLUMN_TYPES.find(
+    (candidate) =>
+      values.filter((cell) => coerceCell(cell, candidate) !== undefined)
+        .length >=
+      values.length * TYPE_THRESHOLD
+  );
+  return type || "string";
+}
+
+// Type a schema declares for a column of the file, looked up by the name
+// the column has once the schema's steps have renamed it. undefined for
+// columns the schema does not declare.
+function declaredType(schema, column) {
+  if (!schema) return undefined;
+  const [name] = transformHeaders([column], schema);
+  const declared = schema.columns.find((entry) => entry.name === name);
+  if (!declared) return undefined;
+  return declared.multiValue ? "string" : SCHEMA_TYPES[declared.type];
+}
+
+function sheetIndex(sheet) {
+  return sheet ? sheet.index : null;
+}
+
+// Inferred column types and uncoercible cells of a file or sheet
+function createReport(columnTypes) {
+  return { columns: columnTypes, uncoercible: 0, cells: [] };
+}
+
+function coerceRecord(entry, report, typeOf, isDeclared) {
+  const record = {};
+  Object.entries(entry.record).forEach(([column, value]) => {
+    // Blank text stays blank text, so it can be told apart from a missing
+    // value
+    const cell = readCell(value);
+    if (!cell) {
+      record[column] = typeof value === "string" ? "" : null;
+      return;
+    }
+
+    // Columns missing from the sample take the type of their first value
+    if (!report.columns[column]) {
+      report.columns[column] = typeOf(column, [cell]);
+    }
+    const coerced = isDeclared(column)
+      ? castCell(cell, report.columns[column])
+      : coerceCell(cell, report.columns[column]);
+    if (coerced !== undefined) {
+      record[column] = coerced;
+      return;
+    }
+
+    record[column] = toText(cell);
+    report.uncoercible++;
+    if (report.cells.length < REPORTED_CELLS) {
+      report.cells.push({
+        ...(entry.sheet ? { sheet: entry.sheet.name } : {}),
+        row: entry.rowNumber,
+        column,
+        value: record[column],
+        type: report.columns[column],
+      });
+    }
+  });
+  return { ...entry, record };
+}
+
+// Coerce the records of format.records() entries. The first sampleRows rows
+// of each sheet (or of the file) are held back to infer the types of the
+// columns the schema does not declare, then every row is yielded with
+// canonical values, in the original order. onTypes(sheet, report) is called
+// with the report of each sheet as soon as its types are known; the report
+// keeps counting uncoercible cells until the last row.
+async function* coerceTypes(
+  entries,
+  { schema = null, sampleRows = TYPE_SAMPLE_ROWS, onTypes } = {}
+) {
+  let sample = [];
+  let sampleSheet = null;
+  let report = null;
+
+  const declared = new Map();
+  function typeOf(column, cells) {
+    if (!declared.has(column)) {
+      declared.set(column, declaredType(schema, column));
+    }
+    return declared.get(column) || inferType(cells);
+  }
+  const isDeclared = (column) => declared.get(column) !== undefined;
+
+  function* releaseSample() {
+    const columns = {};
+    const cells = new Map();
+    sample.forEach(({ record }) => {
+      Object.entries(record).forEach(([column, value]) => {
+        if (!cells.has(column)) cells.set(column, []);
+        const cell = readCell(value);
+        if (cell) cells.get(column).push(cell);
+      });
+    });
+    cells.forEach((columnCells, column) => {
+      columns[column] = typeOf(column, columnCells);
+    });
+
+    report = createReport(columns);
+    if (onTypes) onTypes(sampleSheet, report);
+    const held = sample;
+    sample = [];
+    for (const entry of held)
+      yield coerceRecord(entry, report, typeOf, isDeclared);
+  }
+
+  for await (const entry of entries) {
+    // A new sheet infers its own types
+    if (sheetIndex(entry.sheet) !== sheetIndex(sampleSheet)) {
+      if (sample.length > 0) yield* releaseSample();
+      report = null;
+      sampleSheet = entry.sheet;
+    }
+
+    if (report) {
+      yield coerceRecord(entry, report, typeOf, isDeclared);
+      continue;
+    }
+
+    sample.push(entry);
+    if (sample.length >= sampleRows) yield* releaseSample();
+  }
+
+  if (sample.length > 0) yield* releaseSample();
+}
+
+module.exports = {
+  TYPE_SAMPLE_ROWS,
+  readCell,
+  cellText,
+  inferType,
+  coerceTypes,
+};
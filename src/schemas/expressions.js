@@ -0,0 +1,271 @@
+// Expression language of computed columns, e.g. `Price * Quantity` or
+// `round(Price * (1 - [Discount Rate]), 2)`. Expressions are parsed into a
+// tree of closures when the schema is loaded; they can only read the values
+// of the record and call the functions below, never run JavaScript.
+//
+// - Columns: bare names (letters, digits, _ and ., e.g. Stock.Quantity) or
+//   any name in brackets, e.g. [Unit Price]. Missing columns are null.
+// - Literals: numbers, 'single' or "double" quoted strings, true, false, null
+// - Operators, by precedence: ! and unary -, * / %, + -, < <= > >=, == !=,
+//   &&, ||, and cond ? a : b
+// - Arithmetic reads numeric strings as numbers, so it works on raw CSV
+//   values; strings are joined with concat()
+
+const { isBlank } = require("./values");
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+  }
+  throw new Error(
+    isBlank(value) ? "a value is missing" : `"${value}" is not a number`
+  );
+}
+
+function isNumeric(value) {
+  try {
+    toNumber(value);
+    return typeof value !== "boolean";
+  } catch (error) {
+    return false;
+  }
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(",");
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !isBlank(value) && value !== false && value !== 0;
+}
+
+function checkFinite(number) {
+  if (!Number.isFinite(number)) throw new Error("division by zero");
+  return number;
+}
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return toNumber(a) - toNumber(b);
+  return toText(a).localeCompare(toText(b));
+}
+
+function equals(a, b) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+  return compare(a, b) === 0;
+}
+
+const FUNCTIONS = {
+  round: (value, digits = 0) => {
+    const factor = 10 ** toNumber(digits);
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  floor: (value) => Math.floor(toNumber(value)),
+  ceil: (value) => Math.ceil(toNumber(value)),
+  abs: (value) => Math.abs(toNumber(value)),
+  min: (...values) => Math.min(...values.map(toNumber)),
+  max: (...values) => Math.max(...values.map(toNumber)),
+  number: (value) => toNumber(value),
+  string: (value) => toText(value),
+  lower: (value) => toText(value).toLowerCase(),
+  upper: (value) => toText(value).toUpperCase(),
+  trim: (value) => toText(value).trim(),
+  concat: (...values) => values.map(toText).join(""),
+  len: (value) => (Array.isArray(value) ? value : toText(value)).length,
+  coalesce: (...values) => {
+    const found = values.find((value) => !isBlank(value));
+    return found === undefined ? null : found;
+  },
+};
+
+const BINARY = {
+  "*": (a, b) => toNumber(a) * toNumber(b),
+  "/": (a, b) => checkFinite(toNumber(a) / toNumber(b)),
+  "%": (a, b) => checkFinite(toNumber(a) % toNumber(b)),
+  "+": (a, b) => toNumber(a) + toNumber(b),
+  "-": (a, b) => toNumber(a) - toNumber(b),
+  "<": (a, b) => compare(a, b) < 0,
+  "<=": (a, b) => compare(a, b) <= 0,
+  ">": (a, b) => compare(a, b) > 0,
+  ">=": (a, b) => compare(a, b) >= 0,
+  "==": (a, b) => equals(a, b),
+  "!=": (a, b) => !equals(a, b),
+};
+
+// Binary operators from the loosest to the tightest binding
+const PRECEDENCE = [
+  ["||"],
+  ["&&"],
+  ["==", "!="],
+  ["<", "<=", ">", ">="],
+  ["+", "-"],
+  ["*", "/", "%"],
+];
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_][\w.]*)|\[([^\]]+)\]|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(<=|>=|==|!=|&&|\|\||[-+*/%<>!?:(),]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(
+        `unexpected "${source.slice(position).trim()[0]}" at ${position + 1}`
+      );
+    }
+    const [, number, name, column, double, single, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number) });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name });
+    } else if (column !== undefined) {
+      tokens.push({ type: "column", value: column });
+    } else if (double !== undefined || single !== undefined) {
+      tokens.push({
+        type: "string",
+        value: (double !== undefined ? double : single).replace(/\\(.)/g, "$1"),
+      });
+    } else {
+      tokens.push({ type: "operator", value: operator });
+    }
+  }
+  return tokens;
+}
+
+function column(name) {
+  return (record) =>
+    Object.prototype.hasOwnProperty.call(record, name) &&
+    record[name] !== undefined
+      ? record[name]
+      : null;
+}
+
+// Recursive descent parser producing a closure per node
+function parse(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) =>
+    peek() && peek().type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`expected "${value}"`);
+    }
+    index++;
+  };
+
+  function primary() {
+    const token = tokens[index++];
+    if (!token) throw new Error("unexpected end of expression");
+
+    switch (token.type) {
+      case "number":
+      case "string":
+        return () => token.value;
+      case "column":
+        return column(token.value);
+      case "name": {
+        if (token.value === "true") return () => true;
+        if (token.value === "false") return () => false;
+        if (token.value === "null") return () => null;
+        if (!isOperator("(")) return column(token.value);
+
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`unknown function ${token.value}()`);
+        }
+        const fn = FUNCTIONS[token.value];
+        index++;
+        const args = [];
+        while (!isOperator(")")) {
+          if (args.length > 0) expect(",");
+          args.push(expression());
+        }
+        expect(")");
+        return (record) => fn(...args.map((arg) => arg(record)));
+      }
+      default:
+        if (token.value === "(") {
+          const inner = expression();
+          expect(")");
+          return inner;
+        }
+        throw new Error(`unexpected "${token.value}"`);
+    }
+  }
+
+  function unary() {
+    if (isOperator("-")) {
+      index++;
+      const operand = unary();
+      return (record) => -toNumber(operand(record));
+    }
+    if (isOperator("!")) {
+      index++;
+      const operand = unary();
+      return (record) => !isTruthy(operand(record));
+    }
+    return primary();
+  }
+
+  function binary(level) {
+    if (level === PRECEDENCE.length) return unary();
+
+    let left = binary(level + 1);
+    while (
+      peek() &&
+      peek().type === "operator" &&
+      PRECEDENCE[level].includes(peek().value)
+    ) {
+      const operator = tokens[index++].value;
+      const right = binary(level + 1);
+      const a = left;
+      if (operator === "&&") {
+        left = (record) => isTruthy(a(record)) && isTruthy(right(record));
+      } else if (operator === "||") {
+        left = (record) => isTruthy(a(record)) || isTruthy(right(record));
+      } else {
+        left = (record) => BINARY[operator](a(record), right(record));
+      }
+    }
+    return left;
+  }
+
+  function expression() {
+    const condition = binary(0);
+    if (!isOperator("?")) return condition;
+    index++;
+    const then = expression();
+    expect(":");
+    const otherwise = expression();
+    return (record) =>
+      isTruthy(condition(record)) ? then(record) : otherwise(record);
+  }
+
+  const root = expression();
+  if (index < tokens.length) {
+    throw new Error(`unexpected "${tokens[index].value}"`);
+  }
+  return root;
+}
+
+// Compile an expression into a function of a record. Throws on syntax
+// errors; the function throws when a value cannot be used, e.g. a text in
+// arithmetic.
+function compileExpression(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new Error("expression must be a non-empty string");
+  }
+  return parse(tokenize(source));
+}
+
+module.exports = { FUNCTIONS, compileExpression };
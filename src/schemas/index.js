@@ -0,0 +1,288 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  COLUMN_TYPES,
+  isBlank,
+  parseMultiValueField,
+  castValue,
+  RecordValidationError,
+} = require("./values");
+const {
+  compileTransforms,
+  applyTransforms,
+  transformHeaders,
+} = require("./transforms");
+const { checkDuplicateOptions } = require("../shared/duplicates");
+
+const SCHEMA_DIR = process.env.SCHEMA_DIR || __dirname;
+const DEFAULT_SCHEMA = process.env.DEFAULT_SCHEMA || "products";
+
+const cache = new Map();
+
+// Query parameters of GET /products that are not filters
+const PRODUCT_QUERY_PARAMS = ["schema", "tenant", "page", "pageSize"];
+
+// Query filters of GET /products on the stored records of a schema. A column
+// with a "filter" name is matched with ?<name>= (text columns, any value of
+// a multi-value column) or bounded with ?min<Name>= and ?max<Name>= (number
+// and integer columns).
+function getProductFilters(schema) {
+  return schema.columns
+    .filter((column) => column.filter !== undefined)
+    .map((column) => {
+      if (column.type === "string") {
+        return { column: column.name, params: { value: column.filter } };
+      }
+      const suffix = column.filter[0].toUpperCase() + column.filter.slice(1);
+      return {
+        column: column.name,
+        params: { min: `min${suffix}`, max: `max${suffix}` },
+      };
+    });
+}
+
+// Throw when the filter names of a schema's columns cannot be used
+function checkFilters(columns) {
+  columns
+    .filter((column) => column.filter !== undefined)
+    .forEach((column) => {
+      if (
+        typeof column.filter !== "string" ||
+        !/^[a-z][A-Za-z0-9]*$/.test(column.filter)
+      ) {
+        throw new Error(
+          `column ${column.name} filter must be a name in camelCase`
+        );
+      }
+      if (!["string", "number", "integer"].includes(column.type || "string")) {
+        throw new Error(
+          `column ${column.name} filter needs a string, number or integer column`
+        );
+      }
+    });
+
+  const params = getProductFilters({
+    columns: columns.map((column) => ({ type: "string", ...column })),
+  }).flatMap(({ params }) => Object.values(params));
+  params.forEach((param, index) => {
+    if (PRODUCT_QUERY_PARAMS.includes(param) || params.indexOf(param) < index) {
+      throw new Error(`filter parameter ${param} is already in use`);
+    }
+  });
+}
+
+// Check a schema definition before it is used by the API or a worker
+function validateDefinition(name, definition) {
+  if (!definition || !Array.isArray(definition.columns)) {
+    throw new Error(`Schema "${name}" must define a columns array`);
+  }
+
+  const seen = new Set();
+  definition.columns.forEach((column) => {
+    if (!column.name) {
+      throw new Error(`Schema "${name}" has a column without a name`);
+    }
+    if (seen.has(column.name)) {
+      throw new Error(`Schema "${name}" defines ${column.name} twice`);
+    }
+    seen.add(column.name);
+
+    if (column.pattern) {
+      try {
+        new RegExp(column.pattern);
+      } catch (error) {
+        throw new Error(
+          `Schema "${name}" column ${column.name} has an invalid pattern`
+        );
+      }
+    }
+
+    const type = column.type || "string";
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(
+        `Schema "${name}" column ${column.name} has unknown type "${type}"`
+      );
+    }
+  });
+
+  if (definition.key !== undefined && !Array.isArray(definition.key)) {
+    throw new Error(`Schema "${name}" key must be a list of column names`);
+  }
+  try {
+    checkFilters(definition.columns);
+    checkDuplicateOptions(
+      definition.key || [],
+      definition.duplicates || "reject",
+      definition.columns
+    );
+  } catch (error) {
+    throw new Error(`Schema "${name}": ${error.message}`);
+  }
+}
+
+// List the schema names available in the schema directory
+function listSchemas() {
+  return fs
+    .readdirSync(SCHEMA_DIR)
+    .filter((file) => path.extname(file) === ".json")
+    .map((file) => path.basename(file, ".json"));
+}
+
+// Load a schema by name, falling back to the default schema
+function loadSchema(name = DEFAULT_SCHEMA) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid schema name "${name}"`);
+  }
+  if (cache.has(name)) return cache.get(name);
+
+  const file = path.join(SCHEMA_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown schema "${name}"`);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  validateDefinition(name, definition);
+
+  const schema = {
+    name,
+    description: definition.description || "",
+    columns: definition.columns.map((column) => ({
+      type: "string",
+      required: false,
+      multiValue: false,
+      ...column,
+    })),
+    transforms: compileTransforms(name, definition.transforms),
+    // Columns identifying a record, and what to do with duplicate keys
+    key: definition.key || [],
+    duplicates: definition.duplicates || "reject",
+  };
+  cache.set(name, schema);
+  return schema;
+}
+
+// Return the required columns missing from a header row. Columns renamed
+// or added by the transformation steps count as present.
+function findMissingColumns(headers, schema) {
+  const columns = transformHeaders(headers, schema);
+  return schema.columns
+    .filter((column) => column.required && !columns.includes(column.name))
+    .map((column) => column.name);
+}
+
+// Throw if a header row does not satisfy the schema
+function validateHeaders(headers, schema) {
+  const missingColumns = findMissingColumns(headers, schema);
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing required columns: ${missingColumns.join(", ")}`);
+  }
+}
+
+// Check a cast value against the column constraints
+function checkConstraints(value, column) {
+  if (typeof value === "number") {
+    if (column.minimum !== undefined && value < column.minimum) {
+      return `${column.name} must be at least ${column.minimum}`;
+    }
+    if (
+      column.exclusiveMinimum !== undefined &&
+      value <= column.exclusiveMinimum
+    ) {
+      return `${column.name} must be greater than ${column.exclusiveMinimum}`;
+    }
+    if (column.maximum !== undefined && value > column.maximum) {
+      return `${column.name} must be at most ${column.maximum}`;
+    }
+  }
+
+  if (typeof value === "string") {
+    if (column.maxLength !== undefined && value.length > column.maxLength) {
+      return `${column.name} must be at most ${column.maxLength} characters`;
+    }
+    if (column.pattern && !new RegExp(column.pattern).test(value)) {
+      return `${column.name} does not match the pattern ${column.pattern}`;
+    }
+  }
+
+  return null;
+}
+
+// Cast and check a single value, collecting any errors
+function validateValue(value, column, errors) {
+  let castedValue;
+  try {
+    castedValue = castValue(value, column);
+  } catch (error) {
+    errors.push({ column: column.name, value, message: error.message });
+    return value;
+  }
+
+  const message = checkConstraints(castedValue, column);
+  if (message) {
+    errors.push({ column: column.name, value, message });
+  }
+  return castedValue;
+}
+
+// Apply a schema to a raw record: defaults, multi-value splitting, types and
+// constraints. Every failing column is reported, not just the first one.
+function applySchema(record, schema) {
+  const processedRecord = { ...record };
+  const errors = [];
+
+  schema.columns.forEach((column) => {
+    const value = record[column.name];
+
+    if (isBlank(value)) {
+      if (column.required) {
+        errors.push({
+          column: column.name,
+          value: value === undefined ? null : value,
+          message: `${column.name} is required`,
+        });
+      } else if (column.default !== undefined) {
+        processedRecord[column.name] = column.default;
+      }
+      return;
+    }
+
+    processedRecord[column.name] = column.multiValue
+      ? parseMultiValueField(value).map((v) => validateValue(v, column, errors))
+      : validateValue(value, column, errors);
+  });
+
+  if (errors.length > 0) {
+    throw new RecordValidationError(errors);
+  }
+  return processedRecord;
+}
+
+// Turn a record failure into error report entries for the given row
+function toRowErrors(row, error) {
+  if (error instanceof RecordValidationError) {
+    return error.errors.map((entry) => ({ row, ...entry }));
+  }
+  return [{ row, column: null, value: null, message: error.message }];
+}
+
+// Names of the columns that hold multiple values
+function getMultiValueFields(schema) {
+  return schema.columns
+    .filter((column) => column.multiValue)
+    .map((column) => column.name);
+}
+
+module.exports = {
+  DEFAULT_SCHEMA,
+  listSchemas,
+  loadSchema,
+  getProductFilters,
+  findMissingColumns,
+  validateHeaders,
+  parseMultiValueField,
+  applyTransforms,
+  applySchema,
+  RecordValidationError,
+  toRowErrors,
+  getMultiValueFields,
+};
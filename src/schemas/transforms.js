@@ -0,0 +1,290 @@
+const { compileExpression } = require("./expressions");
+const {
+  COLUMN_TYPES,
+  isBlank,
+  parseMultiValueField,
+  castValue,
+  RecordValidationError,
+} = require("./values");
+
+// Transformation steps of a schema, listed under "transforms" in its JSON
+// definition. They run in order on every raw record, before the schema
+// checks, so they can bring a file in line with the schema:
+//
+//   { "type": "rename", "columns": { "Product Name": "ProductName" } }
+//   { "type": "trim", "columns": ["ProductName"] }
+//   { "type": "case", "columns": ["Categories"], "to": "lower" }
+//   { "type": "cast", "columns": { "Price": "number" } }
+//   { "type": "default", "values": { "Quantity": 1 } }
+//   { "type": "map", "column": "Categories", "values": { "tees": "t-shirts" },
+//     "ignoreCase": true }
+//   { "type": "compute", "column": "Total", "expression": "Price * Quantity" }
+//
+// trim and case apply to every text column when no columns are given. Value
+// steps (trim, case, cast, map) apply to each value of multi-value columns.
+
+const CASES = {
+  lower: (text) => text.toLowerCase(),
+  upper: (text) => text.toUpperCase(),
+  title: (text) =>
+    text
+      .toLowerCase()
+      .replace(/(^|[\s-])(\p{L})/gu, (match) => match.toUpperCase()),
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkNames(names, field) {
+  if (
+    !Array.isArray(names) ||
+    names.length === 0 ||
+    names.some((name) => typeof name !== "string" || !name)
+  ) {
+    throw new Error(`${field} must be a non-empty list of column names`);
+  }
+  return names;
+}
+
+function checkMapping(mapping, field) {
+  if (!isPlainObject(mapping) || Object.keys(mapping).length === 0) {
+    throw new Error(`${field} must be a non-empty object`);
+  }
+  return mapping;
+}
+
+// Columns steps write to. Writing __proto__ would replace the prototype of
+// the record instead of adding a column.
+function checkColumn(name) {
+  if (typeof name !== "string" || !name) {
+    throw new Error("column must be a column name");
+  }
+  if (name === "__proto__") {
+    throw new Error('"__proto__" cannot be used as a column name');
+  }
+  return name;
+}
+
+// Apply fn to a value, or to each value of a multi-value column
+function eachValue(record, name, multiValue, fn) {
+  const value = record[name];
+  if (isBlank(value)) return;
+  if (Array.isArray(value) || multiValue.has(name)) {
+    record[name] = parseMultiValueField(value).map(fn);
+  } else {
+    record[name] = fn(value);
+  }
+}
+
+// Columns a value step applies to: the listed ones, or every column holding
+// text
+function targetColumns(names, record) {
+  if (names) return names;
+  return Object.keys(record).filter((name) => {
+    const value = record[name];
+    return (
+      typeof value === "string" ||
+      (Array.isArray(value) && value.some((item) => typeof item === "string"))
+    );
+  });
+}
+
+// Each step type checks its options and returns { apply, produces }:
+// apply(record, multiValue) changes the record in place and throws
+// RecordValidationError; produces(headers) gives the columns present after
+// the step, so header rows can be checked against the schema.
+const STEP_TYPES = {
+  rename(step) {
+    const columns = checkMapping(step.columns, "columns");
+    Object.values(columns).forEach(checkColumn);
+    return {
+      apply(record) {
+        Object.entries(columns).forEach(([from, to]) => {
+          if (!Object.prototype.hasOwnProperty.call(record, from)) return;
+          const value = record[from];
+          delete record[from];
+          record[to] = value;
+        });
+      },
+      produces: (headers) =>
+        headers.map((header) =>
+          Object.prototype.hasOwnProperty.call(columns, header)
+            ? columns[header]
+            : header
+        ),
+    };
+  },
+
+  trim(step) {
+    const columns =
+      step.columns === undefined ? null : checkNames(step.columns, "columns");
+    return {
+      apply(record, multiValue) {
+        targetColumns(columns, record).forEach((name) =>
+          eachValue(record, name, multiValue, (value) =>
+            typeof value === "string" ? value.trim() : value
+          )
+        );
+      },
+    };
+  },
+
+  case(step) {
+    if (!Object.prototype.hasOwnProperty.call(CASES, step.to)) {
+      throw new Error(`to must be one of: ${Object.keys(CASES).join(", ")}`);
+    }
+    const convert = CASES[step.to];
+    const columns =
+      step.columns === undefined ? null : checkNames(step.columns, "columns");
+    return {
+      apply(record, multiValue) {
+        targetColumns(columns, record).forEach((name) =>
+          eachValue(record, name, multiValue, (value) =>
+            typeof value === "string" ? convert(value) : value
+          )
+        );
+      },
+    };
+  },
+
+  cast(step) {
+    const columns = checkMapping(step.columns, "columns");
+    Object.entries(columns).forEach(([name, type]) => {
+      if (!COLUMN_TYPES.includes(type)) {
+        throw new Error(`${name} has unknown type "${type}"`);
+      }
+    });
+    return {
+      apply(record, multiValue) {
+        const errors = [];
+        Object.entries(columns).forEach(([name, type]) => {
+          eachValue(record, name, multiValue, (value) => {
+            try {
+              return castValue(value, { name, type });
+            } catch (error) {
+              errors.push({ column: name, value, message: error.message });
+              return value;
+            }
+          });
+        });
+        if (errors.length > 0) throw new RecordValidationError(errors);
+      },
+    };
+  },
+
+  default(step) {
+    const values = checkMapping(step.values, "values");
+    Object.keys(values).forEach(checkColumn);
+    return {
+      apply(record) {
+        Object.entries(values).forEach(([name, value]) => {
+          if (isBlank(record[name])) record[name] = value;
+        });
+      },
+      produces: (headers) =>
+        Array.from(new Set([...headers, ...Object.keys(values)])),
+    };
+  },
+
+  map(step) {
+    const column = checkColumn(step.column);
+    const mapping = new Map();
+    Object.entries(checkMapping(step.values, "values")).forEach(
+      ([from, to]) => {
+        mapping.set(step.ignoreCase ? from.toLowerCase() : from, to);
+      }
+    );
+    return {
+      apply(record, multiValue) {
+        eachValue(record, column, multiValue, (value) => {
+          const key = step.ignoreCase
+            ? String(value).toLowerCase()
+            : String(value);
+          return mapping.has(key) ? mapping.get(key) : value;
+        });
+      },
+    };
+  },
+
+  compute(step) {
+    const column = checkColumn(step.column);
+    let evaluate;
+    try {
+      evaluate = compileExpression(step.expression);
+    } catch (error) {
+      throw new Error(`expression: ${error.message}`);
+    }
+    return {
+      apply(record) {
+        try {
+          record[column] = evaluate(record);
+        } catch (error) {
+          throw new RecordValidationError([
+            {
+              column,
+              value: null,
+              message: `${column} could not be computed: ${error.message}`,
+            },
+          ]);
+        }
+      },
+      produces: (headers) => Array.from(new Set([...headers, column])),
+    };
+  },
+};
+
+// Check the steps of a schema definition and compile them. Throws with the
+// position of the first invalid step.
+function compileTransforms(schemaName, steps = []) {
+  if (!Array.isArray(steps)) {
+    throw new Error(`Schema "${schemaName}" transforms must be a list`);
+  }
+
+  return steps.map((step, index) => {
+    const where = `Schema "${schemaName}" transform ${index + 1}`;
+    if (
+      !isPlainObject(step) ||
+      !Object.prototype.hasOwnProperty.call(STEP_TYPES, step.type)
+    ) {
+      throw new Error(
+        `${where} must have a type: ${Object.keys(STEP_TYPES).join(", ")}`
+      );
+    }
+    try {
+      return { type: step.type, ...STEP_TYPES[step.type](step) };
+    } catch (error) {
+      throw new Error(`${where} (${step.type}): ${error.message}`);
+    }
+  });
+}
+
+// Run the transformation steps of a schema on a raw record. Returns a new
+// record; throws RecordValidationError when a step fails.
+function applyTransforms(record, schema) {
+  if (schema.transforms.length === 0) return record;
+
+  const multiValue = new Set(
+    schema.columns
+      .filter((column) => column.multiValue)
+      .map((column) => column.name)
+  );
+  const transformed = { ...record };
+  schema.transforms.forEach((step) => step.apply(transformed, multiValue));
+  return transformed;
+}
+
+// Columns of a header row once the steps have run
+function transformHeaders(headers, schema) {
+  return schema.transforms.reduce(
+    (names, step) => (step.produces ? step.produces(names) : names),
+    headers
+  );
+}
+
+module.exports = {
+  STEP_TYPES,
+  compileTransforms,
+  applyTransforms,
+  transformHeaders,
+};
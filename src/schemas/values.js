@@ -0,0 +1,81 @@
+// Value helpers shared by schema checks and transformation steps
+
+const COLUMN_TYPES = ["string", "number", "integer", "boolean"];
+
+// Plain decimal text: no hexadecimal, exponents or blanks
+const DECIMAL_TEXT = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+// Helper function to parse multiple values in a field
+function parseMultiValueField(value) {
+  if (value === undefined || value === null || value === "") return [];
+
+  // If value is already an array (some Excel cells might be pre-split)
+  if (Array.isArray(value)) {
+    return value.map((v) => v.toString().trim()).filter((v) => v);
+  }
+
+  // Convert to string and handle different formats
+  const stringValue = value.toString();
+  // Remove outer quotes if they exist
+  const cleanValue = stringValue.replace(/^["'](.+)["']$/, "$1");
+  // Split by comma or pipe, trim and filter empty values
+  return cleanValue
+    .split(/[,|]/)
+    .map((v) => v.trim())
+    .filter((v) => v);
+}
+
+// Convert a single value to the column type
+function castValue(value, column) {
+  switch (column.type) {
+    case "number":
+    case "integer": {
+      const text = typeof value === "number" ? null : String(value).trim();
+      const number = text === null ? value : Number(text);
+      if (
+        (text !== null && !DECIMAL_TEXT.test(text)) ||
+        !Number.isFinite(number)
+      ) {
+        throw new Error(`${column.name} must be a number, got "${value}"`);
+      }
+      if (column.type === "integer" && !Number.isInteger(number)) {
+        throw new Error(`${column.name} must be an integer, got "${value}"`);
+      }
+      return number;
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      const normalized = value.toString().trim().toLowerCase();
+      if (["true", "yes", "1"].includes(normalized)) return true;
+      if (["false", "no", "0"].includes(normalized)) return false;
+      throw new Error(`${column.name} must be a boolean, got "${value}"`);
+    }
+    default:
+      return value.toString();
+  }
+}
+
+// Error thrown when a record does not satisfy its schema
+class RecordValidationError extends Error {
+  constructor(errors) {
+    super(errors.map((error) => error.message).join("; "));
+    this.name = "RecordValidationError";
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  isBlank,
+  parseMultiValueField,
+  castValue,
+  RecordValidationError,
+};
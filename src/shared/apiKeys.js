@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { getRedisClient } = require("./redis");
+
+// Bootstrap key with admin rights, used to create the first keys. It is
+// never stored.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+// Token of metrics scrapers such as Prometheus. It only opens the metrics
+// endpoints, so scrapers need no tenant or admin key.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+// Key records, by key id. Only a hash of each key's secret is stored: a
+// key is shown once, when it is created.
+const API_KEYS = "api-keys";
+
+const ROLES = ["tenant", "admin"];
+const TENANT_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Keys look like fpk_<id>_<secret>; the id finds the record, the secret is
+// checked against its hash
+const KEY_PATTERN = /^fpk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const connection = getRedisClient();
+    client = {
+      hget: promisify(connection.hget).bind(connection),
+      hset: promisify(connection.hset).bind(connection),
+      hgetall: promisify(connection.hgetall).bind(connection),
+      hdel: promisify(connection.hdel).bind(connection),
+    };
+  }
+  return client;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function sameHash(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+// Public view of a key record
+function describeKey({ keyHash, webhookSecret, ...record }) {
+  return record;
+}
+
+// Webhooks of a key's jobs are signed with a secret of the key's own, so
+// tenants cannot forge or check each other's deliveries. It is shown when
+// the key is created and when it is rotated.
+function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function parseTenant(value) {
+  if (typeof value !== "string" || !TENANT_PATTERN.test(value)) {
+    throw new Error(
+      "Tenant is required: 1 to 64 letters, digits, dots, dashes or underscores"
+    );
+  }
+  return value;
+}
+
+function parseRole(value = "tenant") {
+  if (!ROLES.includes(value)) {
+    throw new Error(`Invalid role "${value}". Use ${ROLES.join(" or ")}`);
+  }
+  return value;
+}
+
+// Create a key for a tenant, with options checked by parseTenant() and
+// parseRole(). Returns the key itself, which cannot be recovered later, its
+// webhook secret and its record.
+async function createApiKey({ tenant, name, role, webhookUrl }) {
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const record = {
+    id,
+    tenant,
+    name: name || null,
+    role,
+    webhookUrl: webhookUrl || null,
+    createdAt: new Date().toISOString(),
+    keyHash: hashSecret(secret),
+    webhookSecret: createWebhookSecret(),
+  };
+
+  await getClient().hset(API_KEYS, id, JSON.stringify(record));
+  return {
+    key: `fpk_${id}_${secret}`,
+    webhookSecret: record.webhookSecret,
+    record: describeKey(record),
+  };
+}
+
+async function getRecord(id) {
+  const value = await getClient().hget(API_KEYS, id);
+  return value ? JSON.parse(value) : null;
+}
+
+// Key records, optionally of one tenant, oldest first
+async function listApiKeys(tenant) {
+  const records = Object.values((await getClient().hgetall(API_KEYS)) || {})
+    .map((value) => JSON.parse(value))
+    .filter((record) => !tenant || record.tenant === tenant)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return records.map(describeKey);
+}
+
+// Change the name or webhook URL of a key, or rotate its webhook secret.
+// Returns null for unknown keys; the new secret is only returned here.
+async function updateApiKey(id, changes) {
+  const record = await getRecord(id);
+  if (!record) return null;
+
+  ["name", "webhookUrl"].forEach((field) => {
+    if (changes[field] !== undefined) record[field] = changes[field] || null;
+  });
+  if (changes.rotateWebhookSecret) {
+    record.webhookSecret = createWebhookSecret();
+  }
+  await getClient().hset(API_KEYS, id, JSON.stringify(record));
+  return changes.rotateWebhookSecret
+    ? { ...describeKey(record), webhookSecret: record.webhookSecret }
+    : describeKey(record);
+}
+
+// Secret the webhooks of a key's jobs are signed with, or null for unknown
+// or revoked keys
+async function getWebhookSecret(id) {
+  const record = await getRecord(id);
+  return (record && record.webhookSecret) || null;
+}
+
+// Returns whether the key existed
+async function revokeApiKey(id) {
+  return (await getClient().hdel(API_KEYS, id)) > 0;
+}
+
+function isMetricsToken(token) {
+  return Boolean(
+    METRICS_TOKEN &&
+      token &&
+      sameHash(hashSecret(token), hashSecret(METRICS_TOKEN))
+  );
+}
+
+// Find who a key belongs to. Returns null for unknown or revoked keys.
+async function authenticateKey(key) {
+  if (!key) return null;
+
+  if (ADMIN_API_KEY && sameHash(hashSecret(key), hashSecret(ADMIN_API_KEY))) {
+    return { id: "admin", tenant: null, role: "admin", webhookUrl: null };
+  }
+
+  const match = KEY_PATTERN.exec(key);
+  if (!match) return null;
+  const record = await getRecord(match[1]);
+  if (!record || !sameHash(hashSecret(match[2]), record.keyHash)) {
+    return null;
+  }
+  return describeKey(record);
+}
+
+module.exports = {
+  ADMIN_API_KEY,
+  parseTenant,
+  parseRole,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  getWebhookSecret,
+  authenticateKey,
+  isMetricsToken,
+};
@@ -0,0 +1,63 @@
+// Cancellation of active jobs. Bull cannot stop a job that a worker is
+// processing, so the API sets a flag in Redis next to the queue's own keys
+// and the worker checks it between records and stops cleanly.
+
+// Flags of jobs that never check them again expire on their own
+const CANCEL_FLAG_TTL = 24 * 60 * 60;
+
+// How often a worker looks at the flag, in ms
+const CHECK_INTERVAL = 1000;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+function cancelKey(queue, jobId) {
+  return queue.toKey(`${jobId}:cancel`);
+}
+
+function requestCancellation(queue, jobId) {
+  return queue.client.set(
+    cancelKey(queue, jobId),
+    Date.now(),
+    "EX",
+    CANCEL_FLAG_TTL
+  );
+}
+
+// Watch a job for cancellation. requested() is cheap to call for every
+// record: Redis is only asked once per CHECK_INTERVAL.
+function watchCancellation(queue, job) {
+  const key = cancelKey(queue, job.id);
+  let cancelled = false;
+  let lastCheck = 0;
+
+  return {
+    async requested() {
+      if (cancelled) return true;
+      if (Date.now() - lastCheck < CHECK_INTERVAL) return false;
+
+      lastCheck = Date.now();
+      cancelled = (await queue.client.exists(key)) === 1;
+      return cancelled;
+    },
+
+    // Throw JobCancelledError when cancellation was requested
+    async check() {
+      if (await this.requested()) throw new JobCancelledError(job.id);
+    },
+
+    clear() {
+      return queue.client.del(key);
+    },
+  };
+}
+
+module.exports = {
+  JobCancelledError,
+  requestCancellation,
+  watchCancellation,
+};
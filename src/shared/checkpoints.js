@@ -0,0 +1,82 @@
+// Checkpoints of running jobs, kept in Redis next to the queue's own keys.
+// A worker saves its position in the file, its running counts and summary
+// and the state of its output files every so often; a retried or stalled
+// job loads the checkpoint and resumes from there.
+
+const CHECKPOINT_ROWS = parseInt(process.env.CHECKPOINT_ROWS, 10) || 500;
+const CHECKPOINT_INTERVAL_MS =
+  parseInt(process.env.CHECKPOINT_INTERVAL_MS, 10) || 10000;
+
+// Checkpoints of jobs that are never resumed expire on their own
+const CHECKPOINT_TTL = 7 * 24 * 60 * 60;
+
+function checkpointKey(queue, jobId) {
+  return queue.toKey(`${jobId}:checkpoint`);
+}
+
+// Summaries collect unique values in Sets, which JSON cannot hold
+function serializeSummary(summary) {
+  return JSON.parse(
+    JSON.stringify(summary, (key, value) =>
+      value instanceof Set ? Array.from(value) : value
+    )
+  );
+}
+
+function restoreSummary(summary) {
+  Object.values(summary.multiValueFields).forEach((stats) => {
+    stats.uniqueValues = new Set(stats.uniqueValues);
+  });
+  return summary;
+}
+
+// Checkpoints of a job. due() tells whether enough rows or time have passed
+// since the last save; save() stores a new checkpoint.
+function openCheckpoints(queue, job) {
+  const key = checkpointKey(queue, job.id);
+  let lastSave = Date.now();
+  let rowsSinceSave = 0;
+
+  return {
+    async load() {
+      const value = await queue.client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    due() {
+      rowsSinceSave++;
+      return (
+        rowsSinceSave >= CHECKPOINT_ROWS ||
+        Date.now() - lastSave >= CHECKPOINT_INTERVAL_MS
+      );
+    },
+
+    async save(checkpoint) {
+      await queue.client.set(
+        key,
+        JSON.stringify({ ...checkpoint, savedAt: Date.now() }),
+        "EX",
+        CHECKPOINT_TTL
+      );
+      lastSave = Date.now();
+      rowsSinceSave = 0;
+    },
+
+    clear() {
+      return queue.client.del(key);
+    },
+  };
+}
+
+// Whether a failed attempt will be retried by Bull, in which case the output
+// written so far is kept for the retry to resume from
+function willRetry(job) {
+  return !job.isDiscarded() && job.attemptsMade + 1 < (job.opts.attempts || 1);
+}
+
+module.exports = {
+  openCheckpoints,
+  serializeSummary,
+  restoreSummary,
+  willRetry,
+};
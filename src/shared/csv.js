@@ -0,0 +1,32 @@
+// Text a spreadsheet would read as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a single value for CSV output when it needs it. With escapeFormulas,
+// text that a spreadsheet would run as a formula gets a leading ' so it is
+// shown as text; numbers and booleans are left as they are.
+function formatCsvValue(value, { escapeFormulas = false } = {}) {
+  if (value === undefined || value === null) return "";
+  const isText = typeof value !== "number" && typeof value !== "boolean";
+  if (Array.isArray(value)) value = value.join(",");
+  if (value instanceof Date) value = value.toISOString();
+  if (typeof value === "object") value = JSON.stringify(value);
+
+  let stringValue = value.toString();
+  if (escapeFormulas && isText && FORMULA_START.test(stringValue)) {
+    stringValue = `'${stringValue}`;
+  }
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+// Format one CSV line (without the trailing newline)
+function formatCsvRow(values, options) {
+  return values.map((value) => formatCsvValue(value, options)).join(",");
+}
+
+module.exports = {
+  formatCsvValue,
+  formatCsvRow,
+};
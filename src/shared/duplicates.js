@@ -0,0 +1,242 @@
+// Duplicate detection by business key. A schema names its key columns
+// ("key": ["ProductID"]) and what to do with rows whose key was already seen
+// in the file ("duplicates"); uploads can override both. Each sheet of a
+// workbook is checked on its own. Policies:
+//
+// - reject: later rows with the key fail with a row error
+// - first: later rows with the key are dropped
+// - last: the last row with the key is kept, in the place of the first one
+// - merge: the rows with the key are merged into the first one; later
+//   values replace earlier ones and multi-value columns collect them all
+
+const { isBlank } = require("../schemas/values");
+const { readResultRecords } = require("./resultStore");
+
+const DUPLICATE_POLICIES = ["reject", "first", "last", "merge"];
+
+// Keys listed with their row numbers in the job summary
+const REPORTED_KEYS = 100;
+
+// Key indexes of jobs that are never finished expire on their own
+const KEY_INDEX_TTL = 7 * 24 * 60 * 60;
+
+// Key columns, from a comma-separated list or an array
+function parseKeyColumns(value) {
+  const columns = (Array.isArray(value) ? value : String(value).split(","))
+    .map((column) => String(column).trim())
+    .filter((column) => column);
+  if (columns.length === 0) {
+    throw new Error("key must list at least one column");
+  }
+  return columns;
+}
+
+// Throw when the key columns or the policy do not fit the schema
+function checkDuplicateOptions(columns, policy, schemaColumns) {
+  const unknown = columns.filter(
+    (column) => !schemaColumns.some(({ name }) => name === column)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key columns: ${unknown.join(", ")}`);
+  }
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Invalid duplicates policy "${policy}". Use one of: ${DUPLICATE_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+// Key columns and policy given with an upload, e.g.
+// ?key=ProductID,Supplier&duplicates=last. Throws on invalid options.
+function readDuplicateOptions(field, schema) {
+  const options = {};
+  if (field("key") !== undefined && field("key") !== "") {
+    options.key = parseKeyColumns(field("key"));
+  }
+  if (field("duplicates") !== undefined && field("duplicates") !== "") {
+    options.duplicates = String(field("duplicates")).toLowerCase();
+  }
+  checkDuplicateOptions(
+    options.key || schema.key,
+    options.duplicates || schema.duplicates,
+    schema.columns
+  );
+  if (options.duplicates && (options.key || schema.key).length === 0) {
+    throw new Error(`Schema "${schema.name}" has no key. Use ?key= to set one`);
+  }
+  return options;
+}
+
+// Key columns and policy of a job, or null when its records have no key
+function resolveDuplicateOptions(data, schema) {
+  const columns = data.key || schema.key;
+  if (columns.length === 0) return null;
+  return { columns, policy: data.duplicates || schema.duplicates };
+}
+
+// Key of a record, or null when a key column is blank
+function recordKey(record, columns) {
+  const values = columns.map((column) => record[column]);
+  if (values.some(isBlank)) return null;
+  return JSON.stringify(values);
+}
+
+// Replies of a MULTI, failing on the first command that failed
+async function exec(multi) {
+  const replies = await multi.exec();
+  return replies.map(([error, reply]) => {
+    if (error) throw error;
+    return reply;
+  });
+}
+
+// Keys seen in a file or sheet, with the row they were first seen on. The
+// index is a Redis hash (with a set of the keys seen more than once), so
+// files with millions of keys do not have to fit in the worker's memory,
+// and a retried job resumes with the keys of its earlier attempts. `client`
+// is an ioredis client, e.g. the queue's.
+function openKeyIndex(options, client, key) {
+  const duplicatedKey = `${key}:duplicated`;
+
+  return {
+    options,
+
+    // Row the key of a record was first seen on, or null when the key is
+    // new or blank. `position` counts the records read from the file, the
+    // same on every attempt, while row numbers can repeat (objects on one
+    // line of a JSON file); it tells a row read again by a retry apart
+    // from a duplicate.
+    async check(record, row, position) {
+      const value = recordKey(record, options.columns);
+      if (value === null) return null;
+
+      const [added, first] = await exec(
+        client
+          .multi()
+          .hsetnx(key, value, `${position}:${row}`)
+          .hget(key, value)
+          .expire(key, KEY_INDEX_TTL)
+      );
+      const [firstPosition, firstRow] = first.split(":");
+      // A row read again by a retry was indexed by the earlier attempt
+      if (added === 1 || firstPosition === String(position)) return null;
+
+      await exec(
+        client
+          .multi()
+          .sadd(duplicatedKey, value)
+          .expire(duplicatedKey, KEY_INDEX_TTL)
+      );
+      return Number(firstRow);
+    },
+
+    // Keys seen on more than one row
+    async duplicatedKeys() {
+      return new Set(await client.smembers(duplicatedKey));
+    },
+
+    clear() {
+      return client.del(key, duplicatedKey);
+    },
+  };
+}
+
+function createDuplicateReport({ columns, policy }) {
+  return { columns, policy, count: 0, keys: [] };
+}
+
+// Add a duplicate row to the report of a job summary
+function reportDuplicate(report, record, row, firstRow) {
+  report.count++;
+  const value = recordKey(record, report.columns);
+  let entry = report.keys.find(
+    (reported) => recordKey(reported.key, report.columns) === value
+  );
+  if (!entry) {
+    if (report.keys.length >= REPORTED_KEYS) return;
+    entry = {
+      key: Object.fromEntries(
+        report.columns.map((column) => [column, record[column]])
+      ),
+      rows: [firstRow],
+    };
+    report.keys.push(entry);
+  }
+  entry.rows.push(row);
+}
+
+// Row error of a rejected duplicate
+function duplicateError({ columns }, record, firstRow) {
+  const values = columns.map((column) => record[column]);
+  return {
+    column: columns.join(","),
+    value: values.length === 1 ? values[0] : values,
+    message: `Duplicate key ${columns
+      .map((column, index) => `${column}=${values[index]}`)
+      .join(", ")}, first seen on row ${firstRow}`,
+  };
+}
+
+// Values of a later record replace those of an earlier one, unless blank;
+// multi-value columns collect the values of both
+function mergeRecords(earlier, later) {
+  const merged = { ...earlier };
+  Object.entries(later).forEach(([column, value]) => {
+    if (isBlank(value) || (Array.isArray(value) && value.length === 0)) return;
+    merged[column] =
+      Array.isArray(value) && Array.isArray(merged[column])
+        ? Array.from(new Set([...merged[column], ...value]))
+        : value;
+  });
+  return merged;
+}
+
+// Rewrite stored records with one record per duplicated key, for the last
+// and merge policies: the last record, or all of them merged, in the place
+// of the first one. The duplicated keys (from the key index) and one record
+// per duplicated key are held in memory; keys seen once are not. Returns
+// the reference of the rewritten records.
+async function resolveDuplicates({ columns, policy }, duplicated, ref, writer) {
+  const resolved = new Map();
+  for await (const record of readResultRecords(ref)) {
+    const value = recordKey(record, columns);
+    if (!duplicated.has(value)) continue;
+    resolved.set(
+      value,
+      policy === "merge" && resolved.has(value)
+        ? mergeRecords(resolved.get(value), record)
+        : record
+    );
+  }
+
+  try {
+    for await (const record of readResultRecords(ref)) {
+      const value = recordKey(record, columns);
+      if (!duplicated.has(value)) {
+        await writer.write(record);
+      } else if (resolved.has(value)) {
+        await writer.write(resolved.get(value));
+        resolved.delete(value);
+      }
+    }
+    return await writer.close();
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  checkDuplicateOptions,
+  readDuplicateOptions,
+  resolveDuplicateOptions,
+  recordKey,
+  openKeyIndex,
+  createDuplicateReport,
+  reportDuplicate,
+  duplicateError,
+  resolveDuplicates,
+};
@@ -0,0 +1,229 @@
+// Throughput and latency metrics. Workers record a sample for every finished
+// attempt in a Redis sorted set per queue, scored by finish time; the API
+// reads the samples of the sliding windows and aggregates them.
+
+// Sliding windows, in seconds
+const WINDOWS = { "1m": 60, "5m": 300, "15m": 900 };
+const LONGEST_WINDOW = Math.max(...Object.values(WINDOWS));
+
+const QUANTILES = [0.5, 0.9, 0.99];
+
+function samplesKey(queue) {
+  return queue.toKey("metrics:samples");
+}
+
+// Rows read by a job, from its result
+function rowsOf(result) {
+  if (!result) return 0;
+  return result.total !== undefined ? result.total : result.rows || 0;
+}
+
+async function recordSample(queue, job, outcome, rows) {
+  const finishedOn = job.finishedOn || Date.now();
+  const processedOn = job.processedOn || finishedOn;
+  const sample = {
+    jobId: job.id,
+    attempt: job.attemptsMade,
+    outcome,
+    rows,
+    waitMs: Math.max(0, processedOn - job.timestamp),
+    durationMs: Math.max(0, finishedOn - processedOn),
+  };
+
+  const key = samplesKey(queue);
+  await queue.client
+    .multi()
+    .zadd(key, finishedOn, JSON.stringify(sample))
+    // Samples older than the longest window are no longer needed
+    .zremrangebyscore(key, "-inf", finishedOn - LONGEST_WINDOW * 1000)
+    .exec();
+}
+
+// Record a sample for every completed, cancelled or failed attempt of the
+// jobs of a queue. Failed attempts that are retried count as failures too.
+function recordJobMetrics(queue, logger) {
+  const record = (job, outcome, rows) =>
+    recordSample(queue, job, outcome, rows).catch((error) =>
+      logger.error(`Could not record metrics for job ${job.id}:`, error)
+    );
+
+  queue.on("completed", (job, result) => {
+    record(
+      job,
+      result && result.cancelled ? "cancelled" : "completed",
+      rowsOf(result)
+    );
+  });
+  queue.on("failed", (job) => record(job, "failed", 0));
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, quantile) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(quantile * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  const stats = {
+    count: sorted.length,
+    sum,
+    avg: sorted.length ? Math.round(sum / sorted.length) : null,
+  };
+  QUANTILES.forEach((quantile) => {
+    stats[`p${Math.round(quantile * 100)}`] = percentile(sorted, quantile);
+  });
+  return stats;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Aggregate the samples of a queue for every window. Times are in ms.
+async function collectQueueMetrics(queue, now = Date.now()) {
+  const entries = await queue.client.zrangebyscore(
+    samplesKey(queue),
+    now - LONGEST_WINDOW * 1000,
+    "+inf",
+    "WITHSCORES"
+  );
+  const samples = [];
+  for (let i = 0; i < entries.length; i += 2) {
+    samples.push({
+      ...JSON.parse(entries[i]),
+      finishedOn: Number(entries[i + 1]),
+    });
+  }
+
+  const windows = {};
+  Object.entries(WINDOWS).forEach(([name, seconds]) => {
+    const inWindow = samples.filter(
+      (sample) => sample.finishedOn >= now - seconds * 1000
+    );
+    const finished = inWindow.filter((sample) => sample.outcome !== "failed");
+    const failed = inWindow.length - finished.length;
+    const rows = finished.reduce((sum, sample) => sum + sample.rows, 0);
+
+    windows[name] = {
+      completed: finished.length,
+      failedAttempts: failed,
+      rows,
+      jobsPerSecond: round(finished.length / seconds),
+      rowsPerSecond: round(rows / seconds),
+      failureRate: inWindow.length ? round(failed / inWindow.length) : 0,
+      waitTimeMs: distribution(inWindow.map((sample) => sample.waitMs)),
+      durationMs: distribution(inWindow.map((sample) => sample.durationMs)),
+    };
+  });
+  return windows;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+function formatLine(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([key, label]) => `${key}="${escapeLabel(label)}"`)
+    .join(",");
+  return `${name}{${labelText}} ${value === null ? "NaN" : value}`;
+}
+
+// Render metrics in the Prometheus text exposition format. `queues` maps
+// queue names to { counts, windows }. Families are gauges unless they give
+// another type; their samples are [labels, value], with a name suffix for
+// the _sum and _count series of summaries.
+function toPrometheus(queues) {
+  const families = [
+    {
+      name: "file_processing_queue_jobs",
+      help: "Jobs in the queue, by state",
+      samples: ({ counts }, queue) =>
+        Object.entries(counts).map(([state, value]) => [
+          { queue, state },
+          value,
+        ]),
+    },
+    {
+      name: "file_processing_jobs_per_second",
+      help: "Jobs finished per second over the sliding window",
+      samples: ({ windows }, queue) =>
+        Object.entries(windows).map(([window, stats]) => [
+          { queue, window },
+          stats.jobsPerSecond,
+        ]),
+    },
+    {
+      name: "file_processing_rows_per_second",
+      help: "Rows read per second by finished jobs over the sliding window",
+      samples: ({ windows }, queue) =>
+        Object.entries(windows).map(([window, stats]) => [
+          { queue, window },
+          stats.rowsPerSecond,
+        ]),
+    },
+    {
+      name: "file_processing_failure_ratio",
+      help: "Share of job attempts that failed over the sliding window",
+      samples: ({ windows }, queue) =>
+        Object.entries(windows).map(([window, stats]) => [
+          { queue, window },
+          stats.failureRate,
+        ]),
+    },
+    ...[
+      [
+        "file_processing_wait_seconds",
+        "waitTimeMs",
+        "Time jobs waited in the queue",
+      ],
+      [
+        "file_processing_duration_seconds",
+        "durationMs",
+        "Time jobs took to process",
+      ],
+    ].map(([name, field, help]) => ({
+      name,
+      type: "summary",
+      help: `${help} over the sliding window`,
+      samples: ({ windows }, queue) =>
+        Object.entries(windows).flatMap(([window, stats]) => {
+          const { count, sum, ...quantiles } = stats[field];
+          return [
+            ...QUANTILES.map((quantile) => {
+              const value = quantiles[`p${Math.round(quantile * 100)}`];
+              return [
+                { queue, window, quantile },
+                value === null ? null : value / 1000,
+              ];
+            }),
+            [{ queue, window }, sum / 1000, "_sum"],
+            [{ queue, window }, count, "_count"],
+          ];
+        }),
+    })),
+  ];
+
+  const lines = [];
+  families.forEach(({ name, type = "gauge", help, samples }) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    Object.entries(queues).forEach(([queue, metrics]) => {
+      samples(metrics, queue).forEach(([labels, value, suffix = ""]) => {
+        lines.push(formatLine(name + suffix, labels, value));
+      });
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  WINDOWS,
+  rowsOf,
+  recordJobMetrics,
+  collectQueueMetrics,
+  toPrometheus,
+};
@@ -0,0 +1,309 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { recordKey } = require("./duplicates");
+
+// Optional product store: the records of completed jobs are upserted by the
+// key columns of their schema into a local SQLite database, which keeps a
+// change history per key and the job that last touched each record. Set
+// PRODUCT_STORE to the path of the database file to enable it; the API and
+// the workers must see the same file (a shared volume in Docker).
+const PRODUCT_STORE = process.env.PRODUCT_STORE || "";
+
+// Records upserted per transaction. The worker yields to the event loop
+// between batches, so its job lock keeps being renewed.
+const UPSERT_BATCH_SIZE = 500;
+
+const MAX_PAGE_SIZE = 100;
+
+const TABLES = `
+  CREATE TABLE IF NOT EXISTS products (
+    tenant TEXT NOT NULL,
+    schema TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    touched_at TEXT NOT NULL,
+    job_queue TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    PRIMARY KEY (tenant, schema, key)
+  );
+  CREATE TABLE IF NOT EXISTS product_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant TEXT NOT NULL,
+    schema TEXT NOT NULL,
+    key TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    changes TEXT,
+    data TEXT NOT NULL,
+    changed_at TEXT NOT NULL,
+    job_queue TEXT NOT NULL,
+    job_id TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS product_history_key
+    ON product_history (tenant, schema, key, version);
+`;
+
+let db = null;
+
+function isProductStoreEnabled() {
+  return Boolean(PRODUCT_STORE);
+}
+
+function openDatabase() {
+  if (db) return db;
+  if (!PRODUCT_STORE) {
+    throw new Error("The product store is not enabled. Set PRODUCT_STORE");
+  }
+
+  fs.mkdirSync(path.dirname(PRODUCT_STORE), { recursive: true });
+  db = new Database(PRODUCT_STORE);
+  // Readers (the API) do not block the writer (a worker), and concurrent
+  // writers wait for each other instead of failing
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(TABLES);
+  return db;
+}
+
+// Admin uploads have no tenant
+function tenantOf(tenant) {
+  return tenant || "";
+}
+
+// Columns whose values differ between two versions of a record, as
+// { column: { from, to } }
+function diffRecords(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((column) => {
+    const from = before[column] === undefined ? null : before[column];
+    const to = after[column] === undefined ? null : after[column];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[column] = { from, to };
+    }
+  });
+  return changes;
+}
+
+function prepareUpsert(database) {
+  const select = database.prepare(
+    "SELECT data, version FROM products WHERE tenant = ? AND schema = ? AND key = ?"
+  );
+  const insert = database.prepare(
+    `INSERT INTO products (tenant, schema, key, data, version, created_at,
+       updated_at, touched_at, job_queue, job_id)
+     VALUES (@tenant, @schema, @key, @data, 1, @now, @now, @now, @queue, @jobId)`
+  );
+  const update = database.prepare(
+    `UPDATE products SET data = @data, version = @version, updated_at = @now,
+       touched_at = @now, job_queue = @queue, job_id = @jobId
+     WHERE tenant = @tenant AND schema = @schema AND key = @key`
+  );
+  const touch = database.prepare(
+    `UPDATE products SET touched_at = @now, job_queue = @queue, job_id = @jobId
+     WHERE tenant = @tenant AND schema = @schema AND key = @key`
+  );
+  const addHistory = database.prepare(
+    `INSERT INTO product_history (tenant, schema, key, version, changes, data,
+       changed_at, job_queue, job_id)
+     VALUES (@tenant, @schema, @key, @version, @changes, @data, @now, @queue,
+       @jobId)`
+  );
+
+  // Upsert one record; returns "created", "updated" or "unchanged"
+  return (record, row) => {
+    const existing = select.get(row.tenant, row.schema, row.key);
+    const data = JSON.stringify(record);
+    if (!existing) {
+      insert.run({ ...row, data });
+      addHistory.run({ ...row, version: 1, changes: null, data });
+      return "created";
+    }
+
+    const changes = diffRecords(JSON.parse(existing.data), record);
+    if (Object.keys(changes).length === 0) {
+      touch.run(row);
+      return "unchanged";
+    }
+    const version = existing.version + 1;
+    update.run({ ...row, data, version });
+    addHistory.run({
+      ...row,
+      version,
+      changes: JSON.stringify(changes),
+      data,
+    });
+    return "updated";
+  };
+}
+
+// Upsert the records of a job by their key columns. Records with a blank key
+// are skipped. Returns the counts of created, updated, unchanged and skipped
+// records.
+async function storeRecords(
+  records,
+  { tenant, schema, columns, queue, jobId }
+) {
+  const database = openDatabase();
+  const upsert = prepareUpsert(database);
+  const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+  const context = {
+    tenant: tenantOf(tenant),
+    schema,
+    queue,
+    jobId: String(jobId),
+  };
+
+  const writeBatch = database.transaction((batch) => {
+    const now = new Date().toISOString();
+    batch.forEach(({ record, key }) => {
+      counts[upsert(record, { ...context, key, now })]++;
+    });
+  });
+
+  let batch = [];
+  for await (const record of records) {
+    const key = recordKey(record, columns);
+    if (key === null) {
+      counts.skipped++;
+      continue;
+    }
+    batch.push({ record, key });
+    if (batch.length >= UPSERT_BATCH_SIZE) {
+      writeBatch(batch);
+      batch = [];
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  if (batch.length > 0) writeBatch(batch);
+  return counts;
+}
+
+function describeProduct(row) {
+  const key = JSON.parse(row.key);
+  return {
+    key: key.length === 1 ? key[0] : key,
+    tenant: row.tenant || null,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastJob: { queue: row.job_queue, jobId: row.job_id, at: row.touched_at },
+    record: JSON.parse(row.data),
+  };
+}
+
+// JSON path of a column, quoted so any column name works
+function columnPath(column) {
+  return `$."${column.replace(/"/g, '\\"')}"`;
+}
+
+// Records of a schema, ordered by key. Each filter is { column, value } to
+// match a value of a column, or { column, min, max } for a range. tenant is
+// null for admins, who see the records of every tenant.
+function queryProducts({
+  tenant,
+  schema,
+  filters = [],
+  page = 1,
+  pageSize = 10,
+}) {
+  const database = openDatabase();
+  const where = ["schema = ?"];
+  const params = [schema];
+
+  if (tenant !== null) {
+    where.push("tenant = ?");
+    params.push(tenantOf(tenant));
+  }
+  filters.forEach(({ column, value, min, max }) => {
+    if (value !== undefined) {
+      // json_each() goes through the values of a multi-value column, or
+      // gives the single value of any other column
+      where.push(
+        "EXISTS (SELECT 1 FROM json_each(products.data, ?) WHERE value = ? COLLATE NOCASE)"
+      );
+      params.push(columnPath(column), value);
+    }
+    if (min !== undefined) {
+      where.push("json_extract(data, ?) >= ?");
+      params.push(columnPath(column), min);
+    }
+    if (max !== undefined) {
+      where.push("json_extract(data, ?) <= ?");
+      params.push(columnPath(column), max);
+    }
+  });
+
+  // Pages start at 1; a size below 1 would lift the LIMIT
+  const size = Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE);
+  const current = Math.max(page, 1);
+  const filter = where.join(" AND ");
+  const { total } = database
+    .prepare(`SELECT COUNT(*) AS total FROM products WHERE ${filter}`)
+    .get(...params);
+  const rows = database
+    .prepare(
+      `SELECT * FROM products WHERE ${filter}
+       ORDER BY tenant, key LIMIT ? OFFSET ?`
+    )
+    .all(...params, size, (current - 1) * size);
+
+  return {
+    pagination: {
+      page: current,
+      pageSize: size,
+      totalProducts: total,
+      totalPages: Math.ceil(total / size),
+    },
+    products: rows.map(describeProduct),
+  };
+}
+
+// Tenants that have a record with the key, for admins who look one up
+// without naming the tenant. Records of admin uploads have the tenant "".
+function findProductTenants({ schema, keyValues }) {
+  return openDatabase()
+    .prepare(
+      "SELECT tenant FROM products WHERE schema = ? AND key = ? ORDER BY tenant"
+    )
+    .all(schema, JSON.stringify(keyValues))
+    .map((row) => row.tenant);
+}
+
+// A record with its change history, oldest first, or null when there is no
+// record with the key
+function getProduct({ tenant, schema, keyValues }) {
+  const database = openDatabase();
+  const key = JSON.stringify(keyValues);
+  const row = database
+    .prepare(
+      "SELECT * FROM products WHERE tenant = ? AND schema = ? AND key = ?"
+    )
+    .get(tenantOf(tenant), schema, key);
+  if (!row) return null;
+
+  const history = database
+    .prepare(
+      `SELECT version, changes, changed_at, job_queue, job_id
+       FROM product_history WHERE tenant = ? AND schema = ? AND key = ?
+       ORDER BY version`
+    )
+    .all(row.tenant, schema, key)
+    .map((entry) => ({
+      version: entry.version,
+      changedAt: entry.changed_at,
+      job: { queue: entry.job_queue, jobId: entry.job_id },
+      changes: entry.changes ? JSON.parse(entry.changes) : null,
+    }));
+  return { ...describeProduct(row), history };
+}
+
+module.exports = {
+  isProductStoreEnabled,
+  storeRecords,
+  queryProducts,
+  findProductTenants,
+  getProduct,
+};
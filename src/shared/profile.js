@@ -0,0 +1,243 @@
+// Column profiles of processed files. Every row read is added to the profile
+// of its file or sheet with its coerced values, whether or not it passes the
+// schema, so a bad supplier feed shows up before it is loaded. Checkpoints
+// save them with saveProfile(), which packs the distinct value sketches.
+
+const crypto = require("crypto");
+
+// Distinct values are counted exactly up to this many; beyond that they are
+// estimated from the smallest value hashes (a K-minimum-values sketch,
+// within about 3%). Up to twice as many hashes are held between prunings.
+const DISTINCT_SKETCH_SIZE = 1024;
+const HASH_RANGE = 2 ** 52;
+
+// Values tracked for the most frequent values, and how many are reported.
+// Once more values than tracked turn up, the counts are upper bounds and
+// values that may have been seen only once are left out.
+const FREQUENT_TRACKED = 100;
+const FREQUENT_REPORTED = 10;
+
+function createProfile() {
+  return { rows: 0, columns: {} };
+}
+
+function createColumn() {
+  return {
+    count: 0, // Cells with a value
+    blanks: 0, // Empty or whitespace-only text
+    distinct: { hashes: {}, size: 0, limit: null },
+    frequent: { counts: {}, approximate: false },
+    numbers: null, // { count, min, max, sum }
+    lengths: null, // { min, max } of text values
+  };
+}
+
+// Values are tracked by their JSON text, so 1 and "1" stay apart
+function valueKey(value) {
+  return JSON.stringify(value);
+}
+
+// First 52 bits of the SHA-1 of a value, as an exact integer
+function hashKey(key) {
+  const digest = crypto.createHash("sha1").update(key).digest("hex");
+  return parseInt(digest.slice(0, 13), 16);
+}
+
+function smallestHashes(sketch) {
+  return Object.keys(sketch.hashes)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .slice(0, DISTINCT_SKETCH_SIZE);
+}
+
+function addDistinct(sketch, key) {
+  const hash = hashKey(key);
+  if (sketch.limit !== null && hash > sketch.limit) return;
+  if (sketch.hashes[hash]) return;
+
+  sketch.hashes[hash] = 1;
+  sketch.size++;
+  if (sketch.size > 2 * DISTINCT_SKETCH_SIZE) {
+    // Keep the smallest hashes; larger ones can no longer be among them
+    const kept = smallestHashes(sketch);
+    sketch.hashes = Object.fromEntries(kept.map((smallest) => [smallest, 1]));
+    sketch.size = kept.length;
+    sketch.limit = kept[kept.length - 1];
+  }
+}
+
+function countDistinct(sketch) {
+  if (sketch.limit === null && sketch.size <= DISTINCT_SKETCH_SIZE) {
+    return { distinct: sketch.size, exact: true };
+  }
+
+  const kept = smallestHashes(sketch);
+  const largest = kept[kept.length - 1] + 1;
+  return {
+    distinct: Math.round(((kept.length - 1) * HASH_RANGE) / largest),
+    exact: false,
+  };
+}
+
+// A sketch as saved in a checkpoint: only the hashes an estimate needs,
+// packed as 8-byte doubles (exact for 52-bit integers) in base64
+function packSketch(sketch) {
+  const kept = smallestHashes(sketch);
+  const buffer = Buffer.alloc(kept.length * 8);
+  kept.forEach((hash, index) => buffer.writeDoubleBE(hash, index * 8));
+  const exact = sketch.limit === null && kept.length === sketch.size;
+  return {
+    hashes: buffer.toString("base64"),
+    limit: exact ? null : kept[kept.length - 1],
+  };
+}
+
+function unpackSketch(saved) {
+  // Checkpoints saved before sketches were packed hold them as they are
+  if (typeof saved.hashes !== "string") return saved;
+
+  const { hashes, limit } = saved;
+  const buffer = Buffer.from(hashes, "base64");
+  const sketch = { hashes: {}, size: 0, limit };
+  for (let offset = 0; offset < buffer.length; offset += 8) {
+    sketch.hashes[buffer.readDoubleBE(offset)] = 1;
+    sketch.size++;
+  }
+  return sketch;
+}
+
+// Space-saving counts: a new value replaces the least frequent tracked one
+// and inherits its count, which is kept as the value's possible overcount.
+// Counts are [count, overcount] pairs.
+function addFrequent(frequent, key) {
+  const { counts } = frequent;
+  if (Object.prototype.hasOwnProperty.call(counts, key)) {
+    counts[key][0]++;
+    return;
+  }
+  const tracked = Object.keys(counts);
+  if (tracked.length < FREQUENT_TRACKED) {
+    counts[key] = [1, 0];
+    return;
+  }
+
+  const least = tracked.reduce((min, other) =>
+    counts[other][0] < counts[min][0] ? other : min
+  );
+  counts[key] = [counts[least][0] + 1, counts[least][0]];
+  delete counts[least];
+  frequent.approximate = true;
+}
+
+function addValue(stats, value) {
+  if (
+    value === undefined ||
+    value === null ||
+    (Array.isArray(value) && value.length === 0)
+  ) {
+    return;
+  }
+  if (typeof value === "string" && value.trim() === "") {
+    stats.blanks++;
+    return;
+  }
+
+  stats.count++;
+  const key = valueKey(value);
+  addDistinct(stats.distinct, key);
+  addFrequent(stats.frequent, key);
+
+  if (typeof value === "number") {
+    if (!stats.numbers) {
+      stats.numbers = { count: 0, min: value, max: value, sum: 0 };
+    }
+    stats.numbers.count++;
+    stats.numbers.min = Math.min(stats.numbers.min, value);
+    stats.numbers.max = Math.max(stats.numbers.max, value);
+    stats.numbers.sum += value;
+  } else if (typeof value === "string") {
+    if (!stats.lengths) {
+      stats.lengths = { min: value.length, max: value.length };
+    }
+    stats.lengths.min = Math.min(stats.lengths.min, value.length);
+    stats.lengths.max = Math.max(stats.lengths.max, value.length);
+  }
+}
+
+// Add a row to a profile. Columns missing from the row count as nulls.
+function profileRecord(profile, record) {
+  profile.rows++;
+  Object.entries(record).forEach(([column, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(profile.columns, column)) {
+      profile.columns[column] = createColumn();
+    }
+    addValue(profile.columns[column], value);
+  });
+}
+
+// Profile as saved in a checkpoint, a few kilobytes per column whatever the
+// number of distinct values
+function saveProfile(profile) {
+  return {
+    rows: profile.rows,
+    columns: Object.fromEntries(
+      Object.entries(profile.columns).map(([column, stats]) => [
+        column,
+        { ...stats, distinct: packSketch(stats.distinct) },
+      ])
+    ),
+  };
+}
+
+// Profile saved by saveProfile(), to add the rows of a resumed job to
+function restoreProfile(saved) {
+  return {
+    rows: saved.rows,
+    columns: Object.fromEntries(
+      Object.entries(saved.columns).map(([column, stats]) => [
+        column,
+        { ...stats, distinct: unpackSketch(stats.distinct) },
+      ])
+    ),
+  };
+}
+
+// Report of a profile, one entry per column. types are the column types the
+// type layer inferred.
+function describeProfile(profile, types = {}) {
+  return Object.entries(profile.columns).map(([column, stats]) => {
+    const { distinct, exact } = countDistinct(stats.distinct);
+    const { counts, approximate } = stats.frequent;
+    const topValues = Object.entries(counts)
+      .filter(([, [count, overcount]]) => !approximate || count - overcount > 1)
+      .sort((a, b) => b[1][0] - a[1][0])
+      .slice(0, FREQUENT_REPORTED)
+      .map(([key, [count]]) => ({ value: JSON.parse(key), count }));
+    const { numbers, lengths } = stats;
+
+    return {
+      column,
+      type: types[column] || "string",
+      count: stats.count,
+      nulls: profile.rows - stats.count - stats.blanks,
+      blanks: stats.blanks,
+      distinct,
+      distinctExact: exact,
+      min: numbers ? numbers.min : null,
+      max: numbers ? numbers.max : null,
+      mean: numbers ? numbers.sum / numbers.count : null,
+      minLength: lengths ? lengths.min : null,
+      maxLength: lengths ? lengths.max : null,
+      topValues,
+      topValuesExact: !approximate,
+    };
+  });
+}
+
+module.exports = {
+  createProfile,
+  profileRecord,
+  saveProfile,
+  restoreProfile,
+  describeProfile,
+};
@@ -0,0 +1,316 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { getRedisClient } = require("./redis");
+const { isFinalFailure } = require("./retries");
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Upload and conversion requests allowed per API key and window
+const UPLOAD_RATE_LIMIT = {
+  windowMs: envNumber("UPLOAD_RATE_WINDOW_MS", 60 * 1000),
+  max: envNumber("UPLOAD_RATE_LIMIT", 30),
+};
+
+// Quotas per tenant. Bytes and rows are counted per UTC day; concurrent
+// jobs are the tenant's jobs that are waiting, delayed or active.
+const QUOTAS = {
+  bytesPerDay: envNumber("QUOTA_DAILY_BYTES", 1024 * 1024 * 1024),
+  rowsPerDay: envNumber("QUOTA_DAILY_ROWS", 1000000),
+  concurrentJobs: envNumber("QUOTA_CONCURRENT_JOBS", 5),
+};
+
+// Rows a running job charges to the daily row quota at a time. A job goes
+// past the quota by less than this before it is stopped.
+const ROW_CHARGE_BATCH = 500;
+
+// A job slot taken by an upload is held for this long at most before its
+// job is queued, in case the API instance stops before it gives it back
+const UPLOAD_SLOT_TTL_MS = 60 * 60 * 1000;
+
+// Daily usage is kept for a week, for GET /usage
+const USAGE_DAYS = 7;
+const USAGE_TTL = (USAGE_DAYS + 1) * 24 * 60 * 60;
+
+function usageDate(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function usageKey(tenant, date) {
+  return `usage:${tenant}:${date}`;
+}
+
+// Start of the next UTC day, when the daily quotas reset
+function usageResetTime(time = Date.now()) {
+  const reset = new Date(time);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+function exec(multi) {
+  return promisify(multi.exec).bind(multi)();
+}
+
+function command(name, ...args) {
+  const client = getRedisClient();
+  return promisify(client[name]).bind(client)(...args);
+}
+
+// Error of a job that ran out of its tenant's quota. It is not retried.
+class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QuotaExceededError";
+  }
+}
+
+// Add to the usage of a tenant for today. Returns the new totals.
+async function addUsage(tenant, { bytes = 0, rows = 0, jobs = 0 }) {
+  const key = usageKey(tenant, usageDate());
+  const [totalBytes, totalRows, totalJobs] = await exec(
+    getRedisClient()
+      .multi()
+      .hincrby(key, "bytes", bytes)
+      .hincrby(key, "rows", rows)
+      .hincrby(key, "jobs", jobs)
+      .expire(key, USAGE_TTL)
+  );
+  return { bytes: totalBytes, rows: totalRows, jobs: totalJobs };
+}
+
+// Usage of a tenant over the last days, today first
+async function getUsage(tenant, days = 1) {
+  const dates = Array.from({ length: days }, (_, index) =>
+    usageDate(Date.now() - index * 24 * 60 * 60 * 1000)
+  );
+  const multi = getRedisClient().multi();
+  dates.forEach((date) => multi.hgetall(usageKey(tenant, date)));
+  const entries = await exec(multi);
+
+  return dates.map((date, index) => {
+    const entry = entries[index] || {};
+    return {
+      date,
+      bytes: Number(entry.bytes) || 0,
+      rows: Number(entry.rows) || 0,
+      jobs: Number(entry.jobs) || 0,
+    };
+  });
+}
+
+// Count an upload against today's byte quota. The bytes are only kept when
+// they fit; returns whether they did, and the bytes used.
+async function reserveBytes(tenant, bytes) {
+  const usage = await addUsage(tenant, { bytes, jobs: 1 });
+  if (usage.bytes > QUOTAS.bytesPerDay) {
+    const restored = await addUsage(tenant, { bytes: -bytes, jobs: -1 });
+    return { allowed: false, used: restored.bytes };
+  }
+  return { allowed: true, used: usage.bytes };
+}
+
+// Give back the bytes of an upload whose job could not be queued
+async function releaseBytes(tenant, bytes) {
+  await addUsage(tenant, { bytes: -bytes, jobs: -1 });
+}
+
+// Charge the rows a job reads to its tenant's daily quota while it runs, so
+// that neither one large file nor many jobs at once go past it. add() throws
+// a QuotaExceededError once the quota is used up; close() charges the rows
+// not charged yet. Jobs without a tenant are not counted.
+function openRowMeter(tenant) {
+  let pending = 0;
+
+  async function charge() {
+    const rows = pending;
+    pending = 0;
+    return addUsage(tenant, { rows });
+  }
+
+  return {
+    async add(rows = 1) {
+      if (!tenant) return;
+      pending += rows;
+      if (pending < ROW_CHARGE_BATCH) return;
+      const usage = await charge();
+      if (usage.rows > QUOTAS.rowsPerDay) {
+        throw new QuotaExceededError(
+          `Daily row quota of ${QUOTAS.rowsPerDay} rows used up`
+        );
+      }
+    },
+
+    async close() {
+      if (tenant && pending > 0) await charge();
+    },
+  };
+}
+
+// Unfinished jobs of a tenant are kept in a Redis set, as <queue>:<job id>,
+// from the upload until the job completes, fails for good or is removed.
+// Uploads whose job is not queued yet hold an upload:<time>:<id> entry.
+function openJobsKey(tenant) {
+  return `open-jobs:${tenant}`;
+}
+
+function openJobRef(queueName, jobId) {
+  return `${queueName}:${jobId}`;
+}
+
+async function addOpenJob(tenant, queueName, jobId) {
+  if (!tenant) return;
+  await command("sadd", openJobsKey(tenant), openJobRef(queueName, jobId));
+}
+
+async function removeOpenJob(tenant, queueName, jobId) {
+  if (!tenant) return;
+  await command("srem", openJobsKey(tenant), openJobRef(queueName, jobId));
+}
+
+function splitOnce(ref) {
+  const separator = ref.indexOf(":");
+  return [ref.slice(0, separator), ref.slice(separator + 1)];
+}
+
+// Whether an entry of the set is still open. Upload slots are open until
+// they expire.
+function isOpenRef(ref, isOpen) {
+  const [queueName, id] = splitOnce(ref);
+  if (queueName === "upload") {
+    return Number(splitOnce(id)[0]) + UPLOAD_SLOT_TTL_MS > Date.now();
+  }
+  return isOpen(queueName, id);
+}
+
+// Number of unfinished jobs of a tenant. Once the set reaches the limit,
+// its entries are checked with isOpen(queueName, jobId), so a job whose end
+// was missed (a worker that died, a job removed by hand) does not hold a
+// slot forever. Only up to the limit of jobs (and the uploads taking a slot
+// at the same time) are ever checked.
+async function countOpenJobs(tenant, isOpen) {
+  const key = openJobsKey(tenant);
+  const refs = await command("smembers", key);
+  if (refs.length < QUOTAS.concurrentJobs) return refs.length;
+
+  const stale = [];
+  for (const ref of refs) {
+    if (!(await isOpenRef(ref, isOpen))) stale.push(ref);
+  }
+  if (stale.length > 0) await command("srem", key, ...stale);
+  return refs.length - stale.length;
+}
+
+// Take one of a tenant's concurrent job slots for an upload. The slot is
+// added to the set before the set is counted, so two uploads going for the
+// last slot at once cannot both get it; at worst both are refused. Returns the slot, or null when none is left, and the number of
+// the tenant's other unfinished jobs.
+async function takeJobSlot(tenant, isOpen) {
+  const slot = `upload:${Date.now()}:${crypto.randomBytes(8).toString("hex")}`;
+  await command("sadd", openJobsKey(tenant), slot);
+  const openJobs = (await countOpenJobs(tenant, isOpen)) - 1;
+  if (openJobs < QUOTAS.concurrentJobs) return { slot, openJobs };
+
+  await releaseJobSlot(tenant, slot);
+  return { slot: null, openJobs };
+}
+
+// Hand the slot of an upload over to its queued job
+async function claimJobSlot(tenant, slot, queueName, jobId) {
+  if (!tenant) return;
+  const multi = getRedisClient().multi();
+  // The slot is gone when the request was closed while the job was queued
+  if (slot) multi.srem(openJobsKey(tenant), slot);
+  await exec(multi.sadd(openJobsKey(tenant), openJobRef(queueName, jobId)));
+}
+
+// Give back the slot of an upload that was not queued
+async function releaseJobSlot(tenant, slot) {
+  await command("srem", openJobsKey(tenant), slot);
+}
+
+// Limits, usage and what is left of each quota. `openJobs` is the number of
+// the tenant's unfinished jobs.
+async function getQuotaStatus(tenant, openJobs) {
+  const [today] = await getUsage(tenant);
+  const quota = (limit, used) => ({
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+  });
+
+  return {
+    bytes: quota(QUOTAS.bytesPerDay, today.bytes),
+    rows: quota(QUOTAS.rowsPerDay, today.rows),
+    concurrentJobs: quota(QUOTAS.concurrentJobs, openJobs),
+    resetAt: usageResetTime().toISOString(),
+  };
+}
+
+// Free the concurrent job slot of a tenant when one of its jobs completes,
+// is cancelled or fails for good
+function releaseOpenJobs(queue, logger) {
+  const release = (job) =>
+    removeOpenJob(job.data.tenant, queue.name, job.id).catch((error) =>
+      logger.error(`Could not release the job slot of job ${job.id}:`, error)
+    );
+
+  queue.on("completed", release);
+  queue.on("failed", (job) => {
+    if (isFinalFailure(job)) release(job);
+  });
+}
+
+// Store for express-rate-limit, so that the limits hold across API
+// instances. Every key is a counter that expires with its window.
+function createRateLimitStore(prefix, windowMs) {
+  const client = getRedisClient();
+  const key = (name) => `${prefix}:${name}`;
+
+  return {
+    incr(name, callback) {
+      client
+        .multi()
+        .incr(key(name))
+        .pttl(key(name))
+        .exec((error, [hits, ttl] = []) => {
+          if (error) return callback(error);
+          // A new counter has no expiry yet
+          if (ttl < 0) {
+            client.pexpire(key(name), windowMs);
+            ttl = windowMs;
+          }
+          callback(null, hits, new Date(Date.now() + ttl));
+        });
+    },
+
+    decrement(name) {
+      client.decr(key(name));
+    },
+
+    resetKey(name) {
+      client.del(key(name));
+    },
+  };
+}
+
+module.exports = {
+  UPLOAD_RATE_LIMIT,
+  QUOTAS,
+  USAGE_DAYS,
+  QuotaExceededError,
+  getUsage,
+  reserveBytes,
+  releaseBytes,
+  openRowMeter,
+  addOpenJob,
+  removeOpenJob,
+  countOpenJobs,
+  takeJobSlot,
+  claimJobSlot,
+  releaseJobSlot,
+  getQuotaStatus,
+  releaseOpenJobs,
+  createRateLimitStore,
+};
@@ -0,0 +1,16 @@
+const redis = require("redis");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
+
+let client = null;
+
+// Connection for data that does not belong to a queue: API keys, usage and
+// rate limits
+function getRedisClient() {
+  if (!client) {
+    client = redis.createClient(REDIS_URL);
+  }
+  return client;
+}
+
+module.exports = { getRedisClient };
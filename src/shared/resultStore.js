@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Processed output is kept on the local filesystem by default. The API and
+// the workers must see the same directory (a shared volume in Docker).
+const RESULT_STORE = process.env.RESULT_STORE || "fs";
+const RESULT_DIR = process.env.RESULT_DIR || "results";
+
+function resolvePath(key) {
+  if (!/^[\w.-]+$/.test(key)) {
+    throw new Error(`Invalid result key "${key}"`);
+  }
+  return path.join(RESULT_DIR, key);
+}
+
+// Build the result key for a job. Job ids are only unique within a queue.
+function resultKey(queueName, jobId, suffix, extension = "ndjson") {
+  return `${queueName}-${jobId}.${suffix}.${extension}`;
+}
+
+// Open an NDJSON writer. write() waits for the file stream to drain, so a
+// fast producer is held back instead of buffering in memory. Passing the
+// state returned by checkpoint() reopens a file written by an earlier
+// attempt: anything written after that checkpoint is cut off.
+function openResultWriter(key, resumeFrom = null) {
+  if (RESULT_STORE !== "fs") {
+    throw new Error(`Unsupported result store "${RESULT_STORE}"`);
+  }
+
+  fs.mkdirSync(RESULT_DIR, { recursive: true });
+  const filePath = resolvePath(key);
+  if (resumeFrom) {
+    // Throws when the file is gone or shorter than the checkpoint
+    if (fs.statSync(filePath).size < resumeFrom.bytes) {
+      throw new Error(`Result ${key} is shorter than its checkpoint`);
+    }
+    fs.truncateSync(filePath, resumeFrom.bytes);
+  }
+  const stream = fs.createWriteStream(filePath, {
+    flags: resumeFrom ? "a" : "w",
+  });
+  const columns = new Set(resumeFrom ? resumeFrom.columns : []);
+  let records = resumeFrom ? resumeFrom.records : 0;
+  let bytes = resumeFrom ? resumeFrom.bytes : 0;
+  let streamError = null;
+
+  stream.on("error", (error) => {
+    streamError = error;
+  });
+
+  return {
+    write(record) {
+      if (streamError) return Promise.reject(streamError);
+
+      Object.keys(record).forEach((column) => columns.add(column));
+      records++;
+
+      const line = JSON.stringify(record) + "\n";
+      bytes += Buffer.byteLength(line);
+      if (stream.write(line)) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve, reject) => {
+        const onDrain = () => {
+          stream.off("error", onError);
+          resolve();
+        };
+        const onError = (error) => {
+          stream.off("drain", onDrain);
+          reject(error);
+        };
+        stream.once("drain", onDrain);
+        stream.once("error", onError);
+      });
+    },
+
+    // Wait until everything written so far is on disk and return the state
+    // to resume from
+    checkpoint() {
+      return new Promise((resolve, reject) => {
+        if (streamError) return reject(streamError);
+        stream.write("", (error) => {
+          if (error) return reject(error);
+          resolve({ records, columns: Array.from(columns), bytes });
+        });
+      });
+    },
+
+    // Finish the file and return the reference stored with the job
+    close() {
+      return new Promise((resolve, reject) => {
+        if (streamError) return reject(streamError);
+        stream.end(() => {
+          resolve({
+            store: RESULT_STORE,
+            key,
+            format: "ndjson",
+            records,
+            columns: Array.from(columns),
+            bytes,
+          });
+        });
+      });
+    },
+
+    // Close the file but keep it, for a retry to resume from
+    release() {
+      stream.end();
+    },
+
+    // Drop a partially written file, e.g. when the job fails
+    abort() {
+      stream.destroy();
+      fs.unlink(filePath, () => {});
+    },
+  };
+}
+
+// Open a plain output file in the store, for outputs produced by another
+// writer (e.g. a CSV or XLSX export). describe() returns the reference
+// stored with the job once the stream has finished.
+function openResultFile(key, format) {
+  if (RESULT_STORE !== "fs") {
+    throw new Error(`Unsupported result store "${RESULT_STORE}"`);
+  }
+
+  fs.mkdirSync(RESULT_DIR, { recursive: true });
+  const filePath = resolvePath(key);
+  const stream = fs.createWriteStream(filePath);
+
+  return {
+    stream,
+
+    describe(details = {}) {
+      return {
+        store: RESULT_STORE,
+        key,
+        format,
+        bytes: fs.statSync(filePath).size,
+        ...details,
+      };
+    },
+
+    abort() {
+      stream.destroy();
+      fs.unlink(filePath, () => {});
+    },
+  };
+}
+
+function resultExists(ref) {
+  return Boolean(ref) && fs.existsSync(resolvePath(ref.key));
+}
+
+// Raw NDJSON stream of a stored result
+function createResultStream(ref) {
+  return fs.createReadStream(resolvePath(ref.key));
+}
+
+// Iterate over the records of a stored result one at a time
+async function* readResultRecords(ref) {
+  const input = createResultStream(ref);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (line) yield JSON.parse(line);
+    }
+  } finally {
+    // Readers that stop early (a client that went away) close the file too
+    input.destroy();
+  }
+}
+
+function removeResult(ref) {
+  if (resultExists(ref)) {
+    fs.unlinkSync(resolvePath(ref.key));
+  }
+}
+
+module.exports = {
+  RESULT_DIR,
+  resultKey,
+  openResultWriter,
+  openResultFile,
+  resultExists,
+  createResultStream,
+  readResultRecords,
+  removeResult,
+};
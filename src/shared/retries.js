@@ -0,0 +1,154 @@
+const Bull = require("bull");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
+
+// Jobs that have used up their attempts are moved here, so the failed sets
+// of the processing queues do not grow forever. Nothing processes this
+// queue: its jobs wait until they are retried or removed.
+const DEAD_LETTER_QUEUE = "dead-letter";
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Attempts and exponential backoff per queue. The delay doubles with every
+// attempt: 5s, 10s, 20s, ... by default.
+const RETRY_POLICIES = {
+  "csv-processing": {
+    attempts: envNumber("CSV_JOB_ATTEMPTS", 3),
+    backoff: {
+      type: "exponential",
+      delay: envNumber("CSV_JOB_BACKOFF_MS", 5000),
+    },
+  },
+  "excel-processing": {
+    attempts: envNumber("EXCEL_JOB_ATTEMPTS", 3),
+    backoff: {
+      type: "exponential",
+      delay: envNumber("EXCEL_JOB_BACKOFF_MS", 5000),
+    },
+  },
+  "json-processing": {
+    attempts: envNumber("JSON_JOB_ATTEMPTS", 3),
+    backoff: {
+      type: "exponential",
+      delay: envNumber("JSON_JOB_BACKOFF_MS", 5000),
+    },
+  },
+  "file-conversion": {
+    attempts: envNumber("CONVERT_JOB_ATTEMPTS", 2),
+    backoff: {
+      type: "exponential",
+      delay: envNumber("CONVERT_JOB_BACKOFF_MS", 5000),
+    },
+  },
+};
+
+// Policy of the queues of formats registered without a policy of their own
+const DEFAULT_RETRY_POLICY = {
+  attempts: envNumber("JOB_ATTEMPTS", 3),
+  backoff: {
+    type: "exponential",
+    delay: envNumber("JOB_BACKOFF_MS", 5000),
+  },
+};
+
+// Options for queue.add() on the given queue
+function jobOptions(queueName) {
+  const policy = RETRY_POLICIES[queueName] || DEFAULT_RETRY_POLICY;
+  return { attempts: policy.attempts, backoff: { ...policy.backoff } };
+}
+
+let deadLetterQueue = null;
+
+function getDeadLetterQueue() {
+  if (!deadLetterQueue) {
+    deadLetterQueue = new Bull(DEAD_LETTER_QUEUE, REDIS_URL);
+  }
+  return deadLetterQueue;
+}
+
+// Dead-letter entries are keyed by source queue and job id, since job ids
+// are only unique within a queue
+function deadLetterId(queueName, jobId) {
+  return `${queueName}:${jobId}`;
+}
+
+// Discarded jobs (e.g. out of quota) are not retried
+function isFinalFailure(job) {
+  return job.isDiscarded() || job.attemptsMade >= (job.opts.attempts || 1);
+}
+
+// Move a job that has used up its attempts to the dead-letter queue and
+// remove it from its own queue. The uploaded file is kept for a retry.
+async function moveToDeadLetter(queue, job, error) {
+  await getDeadLetterQueue().add(
+    {
+      queue: queue.name,
+      jobId: job.id,
+      data: job.data,
+      opts: { attempts: job.opts.attempts, backoff: job.opts.backoff },
+      attemptsMade: job.attemptsMade,
+      failedReason: error ? error.message : job.failedReason,
+      stacktrace: job.stacktrace,
+      createdOn: job.timestamp,
+      failedOn: job.finishedOn || Date.now(),
+    },
+    { jobId: deadLetterId(queue.name, job.id) }
+  );
+  await job.remove();
+}
+
+// Dead-letter the jobs of a queue once their last attempt has failed. Bull
+// emits "failed" for every attempt, retries included.
+function handleDeadLetters(queue, logger) {
+  queue.on("failed", async (job, error) => {
+    if (!isFinalFailure(job)) {
+      logger.warn(
+        `Job ${job.id} failed (attempt ${job.attemptsMade} of ${job.opts.attempts}), retrying`,
+        { error: error.message }
+      );
+      return;
+    }
+
+    try {
+      await moveToDeadLetter(queue, job, error);
+      logger.error(
+        `Job ${job.id} failed after ${job.attemptsMade} attempts, moved to the ${DEAD_LETTER_QUEUE} queue`,
+        { error: error.message }
+      );
+    } catch (moveError) {
+      logger.error(`Could not dead-letter job ${job.id}:`, moveError);
+    }
+  });
+}
+
+// Find the dead-letter entry of a job
+function getDeadLetter(queueName, jobId) {
+  return getDeadLetterQueue().getJob(deadLetterId(queueName, jobId));
+}
+
+// Put a dead-lettered job back on its queue, under its original id and with
+// a fresh set of attempts, and drop the dead-letter entry
+async function retryDeadLetter(queue, entry) {
+  const { jobId, data } = entry.data;
+  const job = await queue.add(
+    { ...data, retriedAt: Date.now() },
+    { ...jobOptions(queue.name), jobId }
+  );
+  await entry.remove();
+  return job;
+}
+
+module.exports = {
+  DEAD_LETTER_QUEUE,
+  RETRY_POLICIES,
+  DEFAULT_RETRY_POLICY,
+  jobOptions,
+  getDeadLetterQueue,
+  isFinalFailure,
+  handleDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+};
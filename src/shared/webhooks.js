@@ -0,0 +1,358 @@
+const Bull = require("bull");
+const axios = require("axios");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { isFinalFailure } = require("./retries");
+const { getWebhookSecret } = require("./apiKeys");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
+
+// Callback URL for jobs uploaded without one of their own
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+// Secret of the deliveries to WEBHOOK_URL and of the admin key's callbacks.
+// Callbacks of other keys are signed with the key's own secret. Deliveries
+// without a secret are not sent.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_TIMEOUT_MS =
+  parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Deliveries are retried with exponential backoff: 10s, 20s, 40s, ...
+const DELIVERY_OPTIONS = {
+  attempts: parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || 5,
+  backoff: {
+    type: "exponential",
+    delay: parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 10000,
+  },
+};
+
+// Delivery history kept per job
+const HISTORY_LENGTH = 50;
+const HISTORY_TTL = 7 * 24 * 60 * 60;
+
+// Hosts that callbacks may reach although they resolve to a loopback,
+// link-local or private address, e.g. a receiver on the internal network.
+// The host of WEBHOOK_URL is always allowed.
+const WEBHOOK_ALLOWED_HOSTS = [
+  ...(process.env.WEBHOOK_ALLOWED_HOSTS || "").split(","),
+  WEBHOOK_URL ? new URL(WEBHOOK_URL).hostname : "",
+]
+  .map((host) =>
+    host
+      .trim()
+      .replace(/^\[|\]$/g, "")
+      .toLowerCase()
+  )
+  .filter((host) => host);
+
+// Addresses callbacks must not reach: this host, cloud metadata services and
+// the internal network
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([prefix, bits]) =>
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4")
+);
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) =>
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6")
+);
+
+// IPv4 address of an IPv4-mapped IPv6 address (::ffff:7f00:1), or null
+function mappedIPv4(address) {
+  const match =
+    /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(
+      address
+    );
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+function isPrivateAddress(address) {
+  const mapped = mappedIPv4(address);
+  if (mapped) return isPrivateAddress(mapped);
+  return PRIVATE_ADDRESSES.check(
+    address,
+    net.isIP(address) === 6 ? "ipv6" : "ipv4"
+  );
+}
+
+function isAllowedHost(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.includes(
+    hostname.replace(/^\[|\]$/g, "").toLowerCase()
+  );
+}
+
+function privateAddressError(hostname) {
+  return new Error(
+    `Callback URL must not point to a loopback, link-local or private address (${hostname})`
+  );
+}
+
+// Throws when the host of a callback URL is, or resolves to, an address
+// callbacks must not reach
+async function checkCallbackHost(url) {
+  if (isAllowedHost(url.hostname)) return;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw new Error(`Callback host ${host} could not be resolved`);
+    }
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateAddressError(host);
+  }
+}
+
+// DNS lookup of deliveries. The address connected to is checked again, so a
+// host that resolved to a public address when the callback was given and
+// to a private one since (DNS rebinding) is still refused.
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (
+      !isAllowedHost(hostname) &&
+      addresses.some((entry) => isPrivateAddress(entry.address))
+    ) {
+      return callback(privateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+let deliveryQueue = null;
+
+function getDeliveryQueue() {
+  if (!deliveryQueue) {
+    deliveryQueue = new Bull("webhook-delivery", REDIS_URL);
+  }
+  return deliveryQueue;
+}
+
+// Check a callback URL given at upload time. Throws on invalid URLs and on
+// URLs that point to this host or the internal network.
+async function parseCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid callback URL "${value}"`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error("Callback URL must use http or https");
+  }
+  await checkCallbackHost(url);
+  return url.toString();
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>", hex encoded. Including the timestamp
+// lets receivers reject replayed deliveries.
+function signPayload(body, timestamp, secret) {
+  if (!secret) throw new Error("Webhook payloads need a secret to be signed");
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Secret of a delivery: that of the API key whose job it reports, or
+// WEBHOOK_SECRET for the admin key and for deliveries to WEBHOOK_URL
+async function resolveSecret(apiKeyId) {
+  if (!apiKeyId || apiKeyId === "admin") return WEBHOOK_SECRET || null;
+  return getWebhookSecret(apiKeyId);
+}
+
+function historyKey(queueName, jobId) {
+  return getDeliveryQueue().toKey(`${queueName}:${jobId}:history`);
+}
+
+async function recordDelivery(queueName, jobId, entry) {
+  const client = getDeliveryQueue().client;
+  const key = historyKey(queueName, jobId);
+  await client
+    .multi()
+    .rpush(key, JSON.stringify(entry))
+    .ltrim(key, -HISTORY_LENGTH, -1)
+    .expire(key, HISTORY_TTL)
+    .exec();
+}
+
+// Delivery attempts for a job, oldest first
+async function getDeliveries(queueName, jobId) {
+  const entries = await getDeliveryQueue().client.lrange(
+    historyKey(queueName, jobId),
+    0,
+    -1
+  );
+  return entries.map((entry) => JSON.parse(entry));
+}
+
+// Queue the delivery of a job event to the job's callback URL, if any. The
+// delivery id makes a second notification of the same event a no-op; a job
+// that is retried and finishes again gets a new one.
+async function notify(queue, job, event, details) {
+  const url = job.data.callbackUrl || WEBHOOK_URL;
+  if (!url) return null;
+  // Callback URLs are the uploader's, WEBHOOK_URL is the operator's
+  const apiKeyId = job.data.callbackUrl ? job.data.apiKeyId : null;
+
+  const deliveryId = `${queue.name}:${job.id}:${event}:${
+    job.finishedOn || Date.now()
+  }`;
+  return getDeliveryQueue().add(
+    {
+      url,
+      apiKeyId,
+      queue: queue.name,
+      jobId: job.id,
+      payload: {
+        id: deliveryId,
+        event,
+        timestamp: new Date().toISOString(),
+        job: {
+          id: job.id,
+          queue: queue.name,
+          originalName: job.data.originalName,
+          attemptsMade: job.attemptsMade,
+          ...details,
+        },
+      },
+    },
+    { ...DELIVERY_OPTIONS, jobId: deliveryId }
+  );
+}
+
+// POST the signed payload. Any response other than 2xx fails the attempt,
+// and Bull retries it with backoff. Deliveries without a secret, and to
+// addresses callbacks must not reach, fail without being sent.
+async function deliver(delivery) {
+  const { url, apiKeyId, queue, jobId, payload } = delivery.data;
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const entry = {
+    deliveryId: payload.id,
+    event: payload.event,
+    url,
+    attempt: delivery.attemptsMade + 1,
+    status: null,
+    error: null,
+    timestamp: new Date(startedAt).toISOString(),
+    durationMs: 0,
+  };
+
+  try {
+    const secret = await resolveSecret(apiKeyId);
+    if (!secret) {
+      throw new Error(
+        apiKeyId && apiKeyId !== "admin"
+          ? `API key ${apiKeyId} has no webhook secret. Rotate it with PATCH /admin/api-keys/${apiKeyId}`
+          : "No webhook secret is configured. Set WEBHOOK_SECRET"
+      );
+    }
+    await checkCallbackHost(new URL(url));
+
+    const response = await axios.post(url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(body, timestamp, secret)}`,
+      },
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    entry.status = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      entry.error = `Callback responded with status ${response.status}`;
+    }
+  } catch (error) {
+    entry.error = error.message;
+  }
+
+  entry.durationMs = Date.now() - startedAt;
+  await recordDelivery(queue, jobId, entry);
+  if (entry.error) throw new Error(entry.error);
+  return entry;
+}
+
+let delivering = false;
+
+// Notify callbacks when the jobs of a queue complete, fail for good or are
+// cancelled, and deliver queued notifications from this process
+function handleWebhooks(queue, logger) {
+  const send = (job, event, details) =>
+    notify(queue, job, event, details).catch((error) =>
+      logger.error(`Could not queue ${event} webhook for job ${job.id}:`, error)
+    );
+
+  queue.on("completed", (job, result) => {
+    if (result && result.cancelled) {
+      send(job, "job.cancelled", { state: "cancelled", result });
+    } else {
+      send(job, "job.completed", { state: "completed", result });
+    }
+  });
+
+  queue.on("failed", (job, error) => {
+    if (!isFinalFailure(job)) return;
+    send(job, "job.failed", {
+      state: "failed",
+      failedReason: error.message,
+    });
+  });
+
+  if (delivering) return;
+  delivering = true;
+
+  const deliveries = getDeliveryQueue();
+  deliveries.process(deliver);
+  deliveries.on("failed", (delivery, error) => {
+    logger.warn(
+      `Webhook ${delivery.id} to ${delivery.data.url} failed (attempt ${delivery.attemptsMade} of ${delivery.opts.attempts}): ${error.message}`
+    );
+  });
+}
+
+module.exports = {
+  WEBHOOK_URL,
+  parseCallbackUrl,
+  signPayload,
+  deliver,
+  getDeliveries,
+  notify,
+  handleWebhooks,
+};
@@ -0,0 +1,196 @@
+const Bull = require("bull");
+const fs = require("fs");
+const { finished } = require("stream");
+const { promisify } = require("util");
+const winston = require("winston");
+const { getFormat } = require("../formats");
+const { coerceTypes } = require("../parsers/types");
+const { EXPORT_FORMATS, exportRecords } = require("../shared/export");
+const { resultKey, openResultFile } = require("../shared/resultStore");
+const { handleDeadLetters } = require("../shared/retries");
+const { handleWebhooks } = require("../shared/webhooks");
+const { recordJobMetrics } = require("../shared/metrics");
+const {
+  QuotaExceededError,
+  openRowMeter,
+  releaseOpenJobs,
+} = require("../shared/quotas");
+const {
+  JobCancelledError,
+  watchCancellation,
+} = require("../shared/cancellation");
+
+const finishedAsync = promisify(finished);
+
+const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/converter-error.log",
+      level: "error",
+    }),
+    new winston.transports.File({ filename: "logs/converter-combined.log" }),
+  ],
+});
+
+const convertQueue = new Bull("file-conversion", REDIS_URL);
+
+// Jobs that run out of attempts go to the dead-letter queue
+handleDeadLetters(convertQueue, logger);
+
+// Notify callback URLs when jobs complete, fail or are cancelled
+handleWebhooks(convertQueue, logger);
+
+// Record throughput and latency samples for GET /metrics
+recordJobMetrics(convertQueue, logger);
+
+// Free the tenant's job slot when a job finishes
+releaseOpenJobs(convertQueue, logger);
+
+convertQueue.process(async (job) => {
+  const { filePath, sourceType, targetFormat } = job.data;
+  const results = {
+    sourceType,
+    targetFormat,
+    rows: 0,
+    columns: [],
+    cancelled: false, // Set when the job is cancelled while converting
+    result: null, // Reference to the converted file in the result store
+  };
+
+  const format = getFormat(sourceType);
+  if (!format) {
+    throw new Error(`Unsupported source format "${sourceType}"`);
+  }
+  if (!EXPORT_FORMATS[targetFormat]) {
+    throw new Error(`Unsupported target format "${targetFormat}"`);
+  }
+
+  const output = openResultFile(
+    resultKey(
+      convertQueue.name,
+      job.id,
+      "converted",
+      EXPORT_FORMATS[targetFormat].extension
+    ),
+    targetFormat
+  );
+  const cancellation = watchCancellation(convertQueue, job);
+  const rowMeter = openRowMeter(job.data.tenant);
+
+  try {
+    logger.info(`Starting to convert file: ${filePath}`, {
+      sourceType,
+      targetFormat,
+    });
+
+    // Details about the source, e.g. the detected dialect of a CSV file
+    const details = await format.inspect(filePath, job.data);
+    Object.assign(results, details);
+
+    // Read the source with the same readers and type layer the processing
+    // workers use, so every source format converts to the same values
+    const onHeaders = (headers) => {
+      results.columns = headers.filter((header) => header);
+    };
+    const entries = coerceTypes(
+      format.records(filePath, {
+        data: job.data,
+        details,
+        onHeaders,
+        onSheet: ({ headers }) => onHeaders(headers),
+      }),
+      {
+        onTypes: (sheet, types) => {
+          results.types = types;
+        },
+      }
+    )[Symbol.asyncIterator]();
+
+    // Read the first row before writing, so the header row is known
+    const first = await entries.next();
+
+    let lastProgress = 0;
+    async function* records() {
+      let next = first;
+      try {
+        while (!next.done) {
+          await cancellation.check();
+          const { record, progress } = next.value;
+          // Every row read counts against the tenant's daily row quota
+          await rowMeter.add();
+          results.rows++;
+          if (progress > lastProgress) {
+            lastProgress = progress;
+            await job.progress(progress);
+          }
+          yield record;
+          next = await entries.next();
+        }
+      } finally {
+        // Close the source file when the conversion stops early
+        await entries.return();
+      }
+    }
+
+    await exportRecords(
+      records(),
+      targetFormat,
+      output.stream,
+      results.columns
+    );
+    await finishedAsync(output.stream);
+    await job.progress(100);
+
+    results.result = output.describe({
+      records: results.rows,
+      columns: results.columns,
+    });
+
+    // Cleanup
+    fs.unlinkSync(filePath);
+
+    console.log("Conversion Complete:", {
+      jobId: job.id,
+      sourceType,
+      targetFormat,
+      rows: results.rows,
+      processingTime: `${Date.now() - job.timestamp}ms`,
+    });
+
+    logger.info(`Job ${job.id} completed`, results);
+    return results;
+  } catch (error) {
+    output.abort();
+    if (error instanceof QuotaExceededError) job.discard();
+
+    // A cancelled job completes with the number of rows converted so far
+    if (error instanceof JobCancelledError) {
+      results.cancelled = true;
+      fs.unlink(filePath, () => {});
+      logger.info(`Job ${job.id} cancelled`, results);
+      return results;
+    }
+
+    logger.error(`Job ${job.id} failed:`, error);
+    throw error;
+  } finally {
+    await rowMeter
+      .close()
+      .catch((error) =>
+        logger.error(`Could not record usage for job ${job.id}:`, error)
+      );
+    await cancellation.clear();
+  }
+});
+
+console.log("👷 Converter Worker started and waiting for jobs...");
+logger.info("Converter Worker started");
@@ -1,10 +1,64 @@
 const Bull = require("bull");
 const fs = require("fs");
-const csvParser = require("csv-parse");
 const winston = require("winston");
+const {
+  loadSchema,
+  validateHeaders,
+  applyTransforms,
+  applySchema,
+  RecordValidationError,
+  toRowErrors,
+  getMultiValueFields,
+} = require("../schemas");
+const { getFormat, listFormats } = require("../formats");
+const { coerceTypes } = require("../parsers/types");
+const {
+  createProfile,
+  profileRecord,
+  saveProfile,
+  restoreProfile,
+  describeProfile,
+} = require("../shared/profile");
+const {
+  resultKey,
+  openResultWriter,
+  readResultRecords,
+  removeResult,
+} = require("../shared/resultStore");
+const {
+  resolveDuplicateOptions,
+  openKeyIndex,
+  createDuplicateReport,
+  reportDuplicate,
+  duplicateError,
+  resolveDuplicates,
+} = require("../shared/duplicates");
+const {
+  isProductStoreEnabled,
+  storeRecords,
+} = require("../shared/productStore");
+const { handleDeadLetters } = require("../shared/retries");
+const { handleWebhooks } = require("../shared/webhooks");
+const { recordJobMetrics } = require("../shared/metrics");
+const {
+  QuotaExceededError,
+  openRowMeter,
+  releaseOpenJobs,
+} = require("../shared/quotas");
+const { watchCancellation } = require("../shared/cancellation");
+const {
+  openCheckpoints,
+  serializeSummary,
+  restoreSummary,
+  willRetry,
+} = require("../shared/checkpoints");
 
 const REDIS_URL = process.env.REDIS_URL || "redis://redis:6379";
 
+// Formats processed by this worker, e.g. WORKER_TYPE=csv or
+// WORKER_TYPE=csv,excel. Defaults to every registered format.
+const WORKER_TYPE = process.env.WORKER_TYPE || "";
+
 // Configure logger
 const logger = winston.createLogger({
   level: "info",
@@ -22,39 +76,41 @@ const logger = winston.createLogger({
   ],
 });
 
-const csvQueue = new Bull("csv-processing", REDIS_URL);
-
-// Helper function to parse multiple values in a field
-function parseMultiValueField(value) {
-  if (!value) return [];
-  // Handle different multiple value formats
-  if (typeof value === "string") {
-    // Remove outer quotes if they exist
-    value = value.replace(/^["'](.+)["']$/, "$1");
-    // Split by comma, considering possible formats: "1,2,3" or 1|2|3 or "1|2|3"
-    return value
-      .split(/[,|]/)
-      .map((v) => v.trim())
-      .filter((v) => v);
-  }
-  return [];
+// Counts are reported at least this often, even while the share of the file
+// read does not move
+const PROGRESS_INTERVAL_MS = 1000;
+
+function selectFormats(workerType) {
+  const names = workerType
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name);
+  if (names.length === 0) return listFormats();
+
+  return names.map((name) => {
+    const format = getFormat(name);
+    if (!format) {
+      throw new Error(
+        `Unknown format "${name}" in WORKER_TYPE. Use ${listFormats()
+          .map((known) => known.name)
+          .join(", ")}`
+      );
+    }
+    return format;
+  });
 }
 
-async function processRecord(record, jobId) {
+async function processRecord(record, schema, jobId) {
   try {
-    // Define fields that might contain multiple values
-    const multiValueFields = ["Tags", "Categories", "Attributes"];
-
-    // Process multi-value fields
-    const processedRecord = {
-      ...record,
-      // Process known multi-value fields
-      ...Object.fromEntries(
-        multiValueFields
-          .filter((field) => record[field])
-          .map((field) => [field, parseMultiValueField(record[field])])
-      ),
-    };
+    // Fields that might contain multiple values come from the schema
+    const multiValueFields = getMultiValueFields(schema);
+
+    // Run the schema's transformation steps, then apply defaults,
+    // multi-value splitting and type casting
+    const processedRecord = applySchema(
+      applyTransforms(record, schema),
+      schema
+    );
 
     console.log("Processing Record:", {
       jobId,
@@ -65,13 +121,16 @@ async function processRecord(record, jobId) {
 
     await new Promise((resolve) => setTimeout(resolve, 100));
 
-    logger.info(`Processed record for job ${jobId}: ${record.ProductID}`, {
-      multiValues: Object.fromEntries(
-        multiValueFields
-          .filter((field) => processedRecord[field])
-          .map((field) => [field, processedRecord[field]])
-      ),
-    });
+    logger.info(
+      `Processed record for job ${jobId}: ${processedRecord.ProductID}`,
+      {
+        multiValues: Object.fromEntries(
+          multiValueFields
+            .filter((field) => processedRecord[field])
+            .map((field) => [field, processedRecord[field]])
+        ),
+      }
+    );
 
     return { success: true, data: processedRecord };
   } catch (error) {
@@ -83,123 +142,554 @@ async function processRecord(record, jobId) {
   }
 }
 
-async function parseCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const records = [];
-
-    const parser = csvParser({
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-      // Add options to handle quoted fields and multiple delimiters
-      relax_column_count: true,
-      relax_quotes: true,
-      quote: '"',
-      escape: '"',
-    });
-
-    parser.on("readable", function () {
-      let record;
-      while ((record = parser.read()) !== null) {
-        records.push(record);
+// Collect statistics about multi-value fields
+function collectMultiValueStats(summary, data) {
+  Object.entries(data)
+    .filter(([_, value]) => Array.isArray(value))
+    .forEach(([field, values]) => {
+      if (!summary.multiValueFields[field]) {
+        summary.multiValueFields[field] = {
+          totalValues: 0,
+          uniqueValues: new Set(),
+          maxValuesInField: 0,
+        };
       }
+      const stats = summary.multiValueFields[field];
+      stats.totalValues += values.length;
+      values.forEach((v) => stats.uniqueValues.add(v));
+      stats.maxValuesInField = Math.max(stats.maxValuesInField, values.length);
     });
+}
 
-    parser.on("error", function (err) {
-      logger.error("Error parsing CSV:", err);
-      reject(err);
-    });
+// Convert Sets to arrays in summary
+function finalizeSummary(summary) {
+  Object.keys(summary.multiValueFields).forEach((field) => {
+    summary.multiValueFields[field].uniqueValues = Array.from(
+      summary.multiValueFields[field].uniqueValues
+    );
+  });
+}
 
-    parser.on("end", function () {
-      resolve(records);
-    });
+function finalizeSummaries(results) {
+  finalizeSummary(results.summary);
+  if (results.sheets) {
+    results.sheets.forEach((sheet) => finalizeSummary(sheet.summary));
+  }
+}
+
+// Progress reported while processing: the share of the file read so far
+// and the running counts, plus the counts of every sheet seen so far for
+// formats with sheets
+function describeProgress(percentage, results) {
+  const progress = {
+    percentage,
+    processed: results.processed,
+    failed: results.failed,
+    total: results.total,
+  };
+  if (results.sheets) {
+    progress.sheets = results.sheets.map(
+      ({ index, name, state, total, processed, failed }) => ({
+        index,
+        name,
+        state,
+        total,
+        processed,
+        failed,
+      })
+    );
+  }
+  return progress;
+}
+
+// Result file of a sheet, or of the whole file for formats without sheets
+function recordsOutput(sheet) {
+  return sheet ? `records-sheet${sheet.index}` : "records";
+}
+
+function profileOutput(sheet) {
+  return sheet ? `profile-sheet${sheet.index}` : "profile";
+}
+
+// Redis key of the index of the keys seen in a sheet or file
+function keyIndexKey(queue, job, sheet) {
+  return queue.toKey(`${job.id}:keys${sheet ? `-sheet${sheet.index}` : ""}`);
+}
+
+// Save the position in the file together with the counts, summaries,
+// column profiles and output files, so a retried job can resume from there
+async function saveCheckpoint(checkpoints, position, results, errors, writers) {
+  const outputs = { errors: await errors.checkpoint(), files: {} };
+  const profiles = {};
+  for (const { output, writer, profile } of writers) {
+    outputs.files[output] = await writer.checkpoint();
+    profiles[output] = saveProfile(profile);
+  }
 
-    fs.createReadStream(filePath)
-      .on("error", (error) => reject(error))
-      .pipe(parser);
+  await checkpoints.save({
+    position,
+    results: {
+      processed: results.processed,
+      failed: results.failed,
+      total: results.total,
+      errorCount: results.errorCount,
+      sheets:
+        results.sheets &&
+        results.sheets.map((sheet) => ({
+          ...sheet,
+          summary: serializeSummary(sheet.summary),
+        })),
+      summary: serializeSummary(results.summary),
+    },
+    outputs,
+    profiles,
   });
 }
 
-csvQueue.process(async (job) => {
+// Counts and summaries saved in a checkpoint
+function restoreResults(saved) {
+  const restored = { ...saved, summary: restoreSummary(saved.summary) };
+  if (saved.sheets) {
+    restored.sheets = saved.sheets.map((sheet) => ({
+      ...sheet,
+      summary: restoreSummary(sheet.summary),
+    }));
+  }
+  return restored;
+}
+
+// Reopen the output files saved in a checkpoint. Throws when one of them
+// cannot be resumed.
+function reopenOutputs(queue, job, outputs) {
+  const opened = [];
+  try {
+    const errors = openResultWriter(
+      resultKey(queue.name, job.id, "errors"),
+      outputs.errors
+    );
+    opened.push(errors);
+
+    const records = {};
+    Object.entries(outputs.files).forEach(([output, state]) => {
+      records[output] = openResultWriter(
+        resultKey(queue.name, job.id, output),
+        state
+      );
+      opened.push(records[output]);
+    });
+    return { errors, records };
+  } catch (error) {
+    opened.forEach((writer) => writer.release());
+    throw error;
+  }
+}
+
+// Remove the key indexes of a job that will not be resumed
+function clearKeyIndexes(writers) {
+  return Promise.all(
+    writers.filter(({ keys }) => keys).map(({ keys }) => keys.clear())
+  );
+}
+
+// Store the column profile of a sheet, or of the whole file, one column per
+// line
+async function storeProfile(queue, job, sheet, columns) {
+  const writer = openResultWriter(
+    resultKey(queue.name, job.id, profileOutput(sheet))
+  );
+  try {
+    for (const column of columns) {
+      await writer.write(column);
+    }
+    return await writer.close();
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+}
+
+async function processJob(format, queue, job) {
   const { filePath } = job.data;
   const results = {
+    schema: null,
     processed: 0,
     failed: 0,
     total: 0,
-    records: [],
+    errorCount: 0, // Number of entries in the error report
+    cancelled: false, // Set when the job is cancelled while processing
+    resumedAfter: null, // Rows read before the checkpoint a retry resumed from
+    result: null, // Reference to the processed records, or those of a single sheet
+    errorReport: null, // Reference to the row-level errors
+    profile: null, // Reference to the column profile, or that of a single sheet
     summary: {
       multiValueFields: {}, // Will store statistics about multi-value fields
     },
   };
+  if (format.sheets) {
+    results.sheets = []; // Per-sheet counts, summary and result reference
+  }
+
+  // Every processed sheet gets its own result file; formats without sheets
+  // have one
+  const writers = [];
+  let errors = null;
+  let resumedWriters = {};
+  let resumedProfiles = {};
+  const cancellation = watchCancellation(queue, job);
+  const checkpoints = openCheckpoints(queue, job);
+  const rowMeter = openRowMeter(job.data.tenant);
 
   try {
-    logger.info(`Starting to process file: ${filePath}`);
+    logger.info(`Starting to process ${format.label} file: ${filePath}`);
     console.log(`Starting to process file: ${filePath}`);
 
-    const records = await parseCSV(filePath);
-    results.total = records.length;
+    const schema = loadSchema(job.data.schema);
+    results.schema = schema.name;
+
+    // Key columns and policy for rows whose key was already seen, if the
+    // records have a key. Duplicates are reported in the summaries.
+    const keyOptions = resolveDuplicateOptions(job.data, schema);
+    if (keyOptions) {
+      results.summary.duplicates = createDuplicateReport(keyOptions);
+    }
+
+    // Details about the file, e.g. the detected CSV dialect
+    const details = await format.inspect(filePath, job.data, schema);
+    Object.assign(results, details);
+    if (Object.keys(details).length > 0) {
+      logger.info(`Inspected file of job ${job.id}`, details);
+    }
+
+    // A retried or stalled job resumes from its last checkpoint: the rows
+    // read before it are skipped and the outputs it had started continue
+    // from where they were. Checkpoints of the former per-format workers
+    // have no `files` and are not resumed.
+    const checkpoint = await checkpoints.load();
+    if (checkpoint && checkpoint.outputs.files) {
+      try {
+        const reopened = reopenOutputs(queue, job, checkpoint.outputs);
+        errors = reopened.errors;
+        resumedWriters = reopened.records;
+        resumedProfiles = checkpoint.profiles || {};
+        Object.assign(results, restoreResults(checkpoint.results), {
+          resumedAfter: checkpoint.position,
+        });
+        logger.info(
+          `Resuming job ${job.id} after ${checkpoint.position} rows`,
+          { processed: results.processed, failed: results.failed }
+        );
+      } catch (error) {
+        logger.warn(
+          `Cannot resume job ${job.id}, starting over: ${error.message}`
+        );
+      }
+    }
+    if (!errors) {
+      errors = openResultWriter(resultKey(queue.name, job.id, "errors"));
+    }
+
+    const openRecords = (sheet) => {
+      const output = recordsOutput(sheet);
+      const writer =
+        resumedWriters[output] ||
+        openResultWriter(resultKey(queue.name, job.id, output));
+      // Checkpoints saved before profiles were kept resume with a profile
+      // of the remaining rows
+      const profile = resumedProfiles[output]
+        ? restoreProfile(resumedProfiles[output])
+        : createProfile();
+      const keys =
+        keyOptions &&
+        openKeyIndex(keyOptions, queue.client, keyIndexKey(queue, job, sheet));
+      writers.push({ sheet, output, writer, profile, keys });
+      return { writer, profile, keys };
+    };
+
+    // Output of the rows of each sheet, by sheet index. Rows are routed by
+    // the sheet they come with: the type layer holds the first rows of a
+    // sheet back, so the reader may already have started the next sheet.
+    const outputs = new Map();
+    if (!format.sheets) {
+      outputs.set(null, { sheet: null, ...openRecords(null) });
+    }
+    let current = null;
+    let sheetsChanged = false;
+
+    // Each selected sheet is checked against the schema with its own header
+    // row. Sheets that do not match are skipped and reported.
+    const onSheet = ({ index, name, headers }) => {
+      // A sheet the job had started before its checkpoint
+      const restored = results.sheets.find((sheet) => sheet.index === index);
+      if (restored) {
+        sheetsChanged = true;
+        if (restored.state === "skipped") return false;
+        restored.state = "processing";
+        outputs.set(index, { sheet: restored, ...openRecords(restored) });
+        return true;
+      }
 
-    console.log(`Found ${results.total} records to process`);
+      const sheet = {
+        index,
+        name,
+        state: "processing",
+        error: null,
+        total: 0,
+        processed: 0,
+        failed: 0,
+        errorCount: 0,
+        result: null,
+        profile: null,
+        summary: {
+          multiValueFields: {},
+          ...(keyOptions && { duplicates: createDuplicateReport(keyOptions) }),
+        },
+      };
+      results.sheets.push(sheet);
+      sheetsChanged = true;
 
-    for (const record of records) {
       try {
-        const processedRecord = await processRecord(record, job.id);
-        results.processed++;
-        results.records.push(processedRecord);
-
-        // Collect statistics about multi-value fields
-        Object.entries(processedRecord.data)
-          .filter(([_, value]) => Array.isArray(value))
-          .forEach(([field, values]) => {
-            if (!results.summary.multiValueFields[field]) {
-              results.summary.multiValueFields[field] = {
-                totalValues: 0,
-                uniqueValues: new Set(),
-                maxValuesInField: 0,
-              };
-            }
-            results.summary.multiValueFields[field].totalValues +=
-              values.length;
-            values.forEach((v) =>
-              results.summary.multiValueFields[field].uniqueValues.add(v)
-            );
-            results.summary.multiValueFields[field].maxValuesInField = Math.max(
-              results.summary.multiValueFields[field].maxValuesInField,
-              values.length
-            );
-          });
+        validateHeaders(headers, schema);
+      } catch (error) {
+        sheet.state = "skipped";
+        sheet.error = error.message;
+        logger.warn(`Skipping worksheet ${name}: ${error.message}`);
+        return false;
+      }
+
+      outputs.set(index, { sheet, ...openRecords(sheet) });
+      return true;
+    };
+
+    // Column types inferred by the type layer, with the cells that did not
+    // fit them. They are worked out again from the start on a resumed job.
+    const onTypes = (sheet, types) => {
+      if (sheet) outputs.get(sheet.index).sheet.types = types;
+      else results.types = types;
+    };
+
+    // Rows are processed as they are read from the file, with their values
+    // coerced to the types the schema declares or the type layer infers
+    let lastProgress = 0;
+    let lastReport = 0;
+    let position = 0;
+    for await (const { sheet, rowNumber, record, progress } of coerceTypes(
+      format.records(filePath, { schema, data: job.data, details, onSheet }),
+      { schema, onTypes }
+    )) {
+      // Rows before the checkpoint were handled by an earlier attempt
+      position++;
+      if (position <= results.resumedAfter) continue;
+
+      // Stop between records when the job is cancelled
+      if (await cancellation.requested()) {
+        results.cancelled = true;
+        break;
+      }
+
+      // Every row read counts against the tenant's daily row quota; the job
+      // fails once it is used up
+      await rowMeter.add();
+
+      // A sheet is completed once the rows of the next one come in
+      const output = outputs.get(sheet ? sheet.index : null);
+      if (output.sheet !== current) {
+        if (current) current.state = "completed";
+        current = output.sheet;
+      }
+
+      // Every row read is profiled, including those the schema rejects
+      profileRecord(output.profile, record);
+
+      // Counts of the current sheet are kept next to the overall counts
+      const counters = current ? [results, current] : [results];
+      counters.forEach((counts) => counts.total++);
+
+      try {
+        const processedRecord = await processRecord(record, schema, job.id);
+
+        // A row whose key was seen before is rejected, dropped, or written
+        // for the records to be merged once the file is read
+        const firstRow = output.keys
+          ? await output.keys.check(processedRecord.data, rowNumber, position)
+          : null;
+        if (firstRow !== null) {
+          counters.forEach((counts) =>
+            reportDuplicate(
+              counts.summary.duplicates,
+              processedRecord.data,
+              rowNumber,
+              firstRow
+            )
+          );
+          if (keyOptions.policy === "reject") {
+            throw new RecordValidationError([
+              duplicateError(keyOptions, processedRecord.data, firstRow),
+            ]);
+          }
+        }
+        if (firstRow === null || keyOptions.policy !== "first") {
+          await output.writer.write(processedRecord.data);
+        }
+        counters.forEach((counts) => {
+          counts.processed++;
+          collectMultiValueStats(counts.summary, processedRecord.data);
+        });
 
         if (results.processed % 10 === 0) {
           console.log(
-            `Progress Update - Processed: ${results.processed}, Failed: ${results.failed}, Total: ${results.total}`
+            `Progress Update - ${
+              sheet ? `Sheet: ${sheet.name}, ` : ""
+            }Processed: ${results.processed}, Failed: ${
+              results.failed
+            }, Total: ${results.total}`
           );
         }
       } catch (error) {
-        results.failed++;
-        logger.error(`Failed to process record`, { error, record });
+        counters.forEach((counts) => counts.failed++);
+        logger.error(`Failed to process record`, {
+          sheet: sheet ? sheet.name : undefined,
+          row: rowNumber,
+          error: error.message,
+          record,
+        });
+        for (const entry of toRowErrors(rowNumber, error)) {
+          await errors.write(sheet ? { sheet: sheet.name, ...entry } : entry);
+          counters.forEach((counts) => counts.errorCount++);
+        }
       }
 
-      const progress = Math.floor(
-        ((results.processed + results.failed) / results.total) * 100
+      // Only report progress when the percentage moves, a sheet starts or
+      // the counts have not been reported for a while
+      if (
+        progress > lastProgress ||
+        sheetsChanged ||
+        Date.now() - lastReport >= PROGRESS_INTERVAL_MS
+      ) {
+        lastProgress = Math.max(progress, lastProgress);
+        lastReport = Date.now();
+        sheetsChanged = false;
+        await job.progress(describeProgress(lastProgress, results));
+      }
+
+      if (checkpoints.due()) {
+        await saveCheckpoint(checkpoints, position, results, errors, writers);
+      }
+    }
+    const openSheets = (results.sheets || []).filter(
+      (sheet) => sheet.state === "processing"
+    );
+    if (results.cancelled) {
+      // A cancelled job completes with the counts of the rows read so far
+      openSheets.forEach((sheet) => (sheet.state = "cancelled"));
+      writers.forEach(({ writer }) => writer.abort());
+      errors.abort();
+      await clearKeyIndexes(writers);
+      await checkpoints.clear();
+      finalizeSummaries(results);
+      fs.unlink(filePath, () => {});
+      logger.info(`Job ${job.id} cancelled`, results);
+      return results;
+    }
+    openSheets.forEach((sheet) => (sheet.state = "completed"));
+
+    console.log(`Read ${results.total} records from the file`);
+
+    // Fail the job when no selected sheet matches the schema
+    if (writers.length === 0) {
+      throw new Error(
+        results.sheets.length === 1
+          ? results.sheets[0].error
+          : `No worksheet matches the schema: ${results.sheets
+              .map((sheet) => `${sheet.name}: ${sheet.error}`)
+              .join("; ")}`
       );
-      await job.progress(progress);
     }
 
-    // Convert Sets to arrays in summary
-    Object.keys(results.summary.multiValueFields).forEach((field) => {
-      results.summary.multiValueFields[field].uniqueValues = Array.from(
-        results.summary.multiValueFields[field].uniqueValues
+    for (const { sheet, output, writer, profile, keys } of writers) {
+      let ref = await writer.close();
+      if (keys) {
+        // Records with the same key are replaced by the last or merged one
+        const duplicated = ["last", "merge"].includes(keys.options.policy)
+          ? await keys.duplicatedKeys()
+          : new Set();
+        if (duplicated.size > 0) {
+          const resolved = await resolveDuplicates(
+            keys.options,
+            duplicated,
+            ref,
+            openResultWriter(
+              resultKey(queue.name, job.id, `${output}-deduplicated`)
+            )
+          );
+          removeResult(ref);
+          ref = resolved;
+        }
+        await keys.clear();
+      }
+
+      // A file or sheet without rows has no inferred types
+      const { types } = sheet || results;
+      const profileRef = await storeProfile(
+        queue,
+        job,
+        sheet,
+        describeProfile(profile, types && types.columns)
       );
-    });
+      if (sheet) {
+        sheet.result = ref;
+        sheet.profile = profileRef;
+      }
+      if (writers.length === 1) {
+        results.result = ref;
+        results.profile = profileRef;
+      }
+    }
+    results.errorReport = await errors.close();
+
+    // Upsert the records into the product store, when it is enabled and the
+    // records have a key
+    if (keyOptions && isProductStoreEnabled()) {
+      results.productStore = {
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        skipped: 0,
+      };
+      for (const { sheet } of writers) {
+        const counts = await storeRecords(
+          readResultRecords(sheet ? sheet.result : results.result),
+          {
+            tenant: job.data.tenant,
+            schema: schema.name,
+            columns: keyOptions.columns,
+            queue: queue.name,
+            jobId: job.id,
+          }
+        );
+        Object.keys(counts).forEach((name) => {
+          results.productStore[name] += counts[name];
+        });
+      }
+      logger.info(`Stored the records of job ${job.id}`, results.productStore);
+    }
+    await checkpoints.clear();
+    await job.progress(describeProgress(100, results));
+
+    finalizeSummaries(results);
 
     // Cleanup
     fs.unlinkSync(filePath);
 
     console.log("Processing Complete:", {
       jobId: job.id,
+      format: format.name,
       totalProcessed: results.processed,
       totalFailed: results.failed,
+      totalErrors: results.errorCount,
       totalRecords: results.total,
+      sheets:
+        results.sheets &&
+        results.sheets.map((sheet) => `${sheet.name}: ${sheet.state}`),
       processingTime: `${Date.now() - job.timestamp}ms`,
       multiValueFieldStats: results.summary.multiValueFields,
     });
@@ -208,11 +698,55 @@ csvQueue.process(async (job) => {
     return results;
   } catch (error) {
     logger.error(`Job ${job.id} failed:`, error);
+    if (error instanceof QuotaExceededError) job.discard();
+
+    // A failed attempt that will be retried keeps its output, so the retry
+    // can resume from the last checkpoint
+    const outputs = new Set([
+      ...writers.map(({ writer }) => writer),
+      ...Object.values(resumedWriters),
+      errors,
+    ]);
+    if (willRetry(job)) {
+      outputs.forEach((output) => output && output.release());
+    } else {
+      outputs.forEach((output) => output && output.abort());
+      await checkpoints.clear();
+      await clearKeyIndexes(writers).catch((clearError) =>
+        logger.error(
+          `Could not clear the key indexes of job ${job.id}:`,
+          clearError
+        )
+      );
+    }
     throw error;
+  } finally {
+    await rowMeter
+      .close()
+      .catch((error) =>
+        logger.error(`Could not record usage for job ${job.id}:`, error)
+      );
+    await cancellation.clear();
   }
-});
+}
+
+selectFormats(WORKER_TYPE).forEach((format) => {
+  const queue = new Bull(format.queue, REDIS_URL);
+
+  // Jobs that run out of attempts go to the dead-letter queue
+  handleDeadLetters(queue, logger);
+
+  // Notify callback URLs when jobs complete, fail or are cancelled
+  handleWebhooks(queue, logger);
 
-// Queue event handlers remain the same...
+  // Record throughput and latency samples for GET /metrics
+  recordJobMetrics(queue, logger);
 
-console.log("👷 Worker started and waiting for jobs...");
-logger.info("Worker started");
+  // Free the tenant's job slot when a job finishes
+  releaseOpenJobs(queue, logger);
+
+  queue.process((job) => processJob(format, queue, job));
+
+  console.log(`👷 ${format.label} worker started and waiting for jobs...`);
+  logger.info(`${format.label} worker started`, { queue: queue.name });
+});
@@ -0,0 +1,189 @@
+// Dialect detection on files written to a temporary directory, and the
+// decoder the parsers read them through
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable, pipeline } = require("stream");
+const {
+  detectDialect,
+  createDecoder,
+  parseDialectOverrides,
+} = require("../../src/parsers/dialect");
+const { parseCSV } = require("../../src/parsers/csv");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dialect-"));
+afterAll(() => fs.rmSync(dir, { recursive: true }));
+
+let files = 0;
+function writeFile(content) {
+  const filePath = path.join(dir, `${++files}.csv`);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// UTF-16 text with the byte order mark of its endianness
+function utf16(text, endianness) {
+  const bytes = Buffer.from(`\uFEFF${text}`, "utf16le");
+  return endianness === "be" ? bytes.swap16() : bytes;
+}
+
+// Records of a file read with its detected dialect
+function readRecords(filePath) {
+  const dialect = detectDialect(filePath);
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const streams = parseCSV({ dialect });
+    streams[streams.length - 1].on("data", ({ record }) =>
+      records.push(record)
+    );
+    pipeline(fs.createReadStream(filePath), ...streams, (error) =>
+      error ? reject(error) : resolve(records)
+    );
+  });
+}
+
+describe("detectDialect", () => {
+  test.each([
+    [",", "ProductID,Name,Price\nP1,Lamp,10\nP2,Desk,20\n"],
+    [";", "ProductID;Name;Price\nP1;Lamp;10,5\nP2;Desk;20,0\n"],
+    ["\t", "ProductID\tName\tPrice\nP1\tLamp, small\t10\nP2\tDesk\t20\n"],
+    ["|", "ProductID|Name|Price\nP1|Lamp|10\nP2|Desk|20\n"],
+  ])("detects the %p delimiter", (delimiter, content) => {
+    expect(detectDialect(writeFile(content))).toMatchObject({
+      encoding: "utf-8",
+      bom: false,
+      delimiter,
+      quote: '"',
+      header: true,
+    });
+  });
+
+  test("detects single quotes around fields", () => {
+    const filePath = writeFile("Name,Note\n'Lamp','a, b'\n'Desk','c'\n");
+    expect(detectDialect(filePath).quote).toBe("'");
+  });
+
+  test("reads single-column files", async () => {
+    const filePath = writeFile("ProductID\nP1\nP2\n");
+
+    expect(detectDialect(filePath)).toMatchObject({
+      delimiter: ",",
+      header: true,
+    });
+    expect(await readRecords(filePath)).toEqual([
+      { ProductID: "P1" },
+      { ProductID: "P2" },
+    ]);
+  });
+
+  test.each([
+    ["numbers in the first row", "P1,Lamp,10\nP2,Desk,20\n"],
+    ["blank cells in the first row", "P1,,Lamp\nP2,x,Desk\n"],
+  ])("finds no header row with %s", (_, content) => {
+    expect(detectDialect(writeFile(content)).header).toBe(false);
+  });
+
+  test("takes a first row that names schema columns as the header", () => {
+    const filePath = writeFile("ProductID,2024\nP1,10\n");
+    const schema = { columns: [{ name: "ProductID" }] };
+
+    expect(detectDialect(filePath).header).toBe(false);
+    expect(detectDialect(filePath, {}, schema).header).toBe(true);
+  });
+
+  test("reads windows-1252 files", async () => {
+    const filePath = writeFile(
+      Buffer.from("Name;Price\nCaf\xe9 cr\xe8me;2,50\n", "latin1")
+    );
+
+    expect(detectDialect(filePath)).toMatchObject({
+      encoding: "windows-1252",
+      bom: false,
+      delimiter: ";",
+    });
+    expect(await readRecords(filePath)).toEqual([
+      { Name: "Café crème", Price: "2,50" },
+    ]);
+  });
+
+  test.each([
+    ["utf-16le", "le"],
+    ["utf-16be", "be"],
+  ])("reads %s files with a byte order mark", async (encoding, endianness) => {
+    const filePath = writeFile(utf16("Name\tPrice\nCafé\t2\n", endianness));
+
+    expect(detectDialect(filePath)).toMatchObject({
+      encoding,
+      bom: true,
+      delimiter: "\t",
+    });
+    expect(await readRecords(filePath)).toEqual([{ Name: "Café", Price: "2" }]);
+  });
+
+  test("drops the UTF-8 byte order mark", async () => {
+    const filePath = writeFile("\uFEFFProductID,Name\nP1,Lamp\n");
+
+    expect(detectDialect(filePath)).toMatchObject({
+      encoding: "utf-8",
+      bom: true,
+    });
+    expect(await readRecords(filePath)).toEqual([
+      { ProductID: "P1", Name: "Lamp" },
+    ]);
+  });
+
+  test("lets overrides win over the detected settings", () => {
+    const filePath = writeFile("a;b,c\n1;2,3\n");
+
+    expect(
+      detectDialect(filePath, { delimiter: ",", header: false })
+    ).toMatchObject({
+      delimiter: ",",
+      header: false,
+      overrides: ["delimiter", "header"],
+    });
+  });
+});
+
+describe("createDecoder", () => {
+  test("decodes characters split across chunks", async () => {
+    const bytes = Buffer.from("Café ☕");
+    const chunks = [bytes.slice(0, 4), bytes.slice(4, 7), bytes.slice(7)];
+    let text = "";
+    for await (const part of Readable.from(chunks).pipe(
+      createDecoder("utf-8")
+    )) {
+      text += part;
+    }
+
+    expect(text).toBe("Café ☕");
+  });
+});
+
+describe("parseDialectOverrides", () => {
+  test("normalizes the settings given at upload time", () => {
+    expect(
+      parseDialectOverrides({
+        delimiter: "tab",
+        quote: "'",
+        encoding: "UTF-16LE",
+        header: "false",
+      })
+    ).toEqual({
+      delimiter: "\t",
+      quote: "'",
+      encoding: "utf-16le",
+      header: false,
+    });
+    expect(parseDialectOverrides({ header: "" })).toEqual({});
+  });
+
+  test.each([
+    [{ delimiter: ";;" }, "delimiter must be a single character or 'tab'"],
+    [{ quote: "''" }, "quote must be a single character"],
+    [{ encoding: "latin-9" }, "encoding must be one of: utf-8, utf-16le"],
+    [{ header: "yes" }, "header must be true or false"],
+  ])("rejects %p", (settings, message) => {
+    expect(() => parseDialectOverrides(settings)).toThrow(message);
+  });
+});
@@ -0,0 +1,102 @@
+// Legacy .xls (BIFF8) workbooks. fixtures/catalog.xls has four sheets:
+// Products (a blank row between its two records, dates with and without a
+// time of day), Legend, Offset (headers in B3) and Empty.
+process.env.TZ = "UTC";
+
+const path = require("path");
+const { parseExcel } = require("../../src/parsers/excel");
+const { coerceTypes } = require("../../src/parsers/types");
+
+const WORKBOOK = path.join(__dirname, "../fixtures/catalog.xls");
+
+async function readAll(entries) {
+  const rows = [];
+  for await (const entry of entries) rows.push(entry);
+  return rows;
+}
+
+describe("parseExcel with .xls workbooks", () => {
+  test("reads the first sheet by default", async () => {
+    const rows = await readAll(parseExcel(WORKBOOK));
+
+    expect(rows.map(({ sheet }) => sheet.name)).toEqual([
+      "Products",
+      "Products",
+    ]);
+    expect(rows.map(({ record }) => record.ProductID)).toEqual(["P1", "P2"]);
+  });
+
+  test("selects sheets by index and name", async () => {
+    const rows = await readAll(parseExcel(WORKBOOK, { sheets: "2,Offset" }));
+
+    expect(rows.map(({ sheet }) => sheet)).toEqual([
+      { index: 2, name: "Legend" },
+      { index: 3, name: "Offset" },
+    ]);
+    expect(rows[0].record).toEqual({ Code: "A", Meaning: "Active" });
+  });
+
+  test("reads every sheet and reports empty ones", async () => {
+    const sheets = [];
+    await readAll(
+      parseExcel(WORKBOOK, {
+        sheets: "all",
+        onSheet: (sheet) => sheets.push(sheet),
+      })
+    );
+
+    expect(sheets.map(({ name }) => name)).toEqual([
+      "Products",
+      "Legend",
+      "Offset",
+      "Empty",
+    ]);
+    expect(sheets[3].headers).toEqual([]);
+  });
+
+  test("skips the rows of a sheet when onSheet returns false", async () => {
+    const rows = await readAll(
+      parseExcel(WORKBOOK, {
+        sheets: "all",
+        onSheet: (sheet) => sheet.name !== "Products",
+      })
+    );
+
+    expect(rows.map(({ sheet }) => sheet.name)).toEqual(["Legend", "Offset"]);
+  });
+
+  test("throws for sheets the workbook does not have", async () => {
+    await expect(
+      readAll(parseExcel(WORKBOOK, { sheets: "Prices,7" }))
+    ).rejects.toThrow(
+      "Worksheet not found: Prices, 7 (workbook has Products, Legend, Offset, Empty)"
+    );
+  });
+
+  test("keeps row numbers across blank rows and offset ranges", async () => {
+    const rows = await readAll(
+      parseExcel(WORKBOOK, { sheets: "Products,Offset" })
+    );
+
+    expect(rows.map(({ rowNumber }) => rowNumber)).toEqual([2, 4, 4]);
+    expect(rows[2].record).toEqual({ ProductID: "P3", Price: 7 });
+  });
+
+  test("returns date cells as dates", async () => {
+    const rows = await readAll(parseExcel(WORKBOOK));
+
+    expect(rows[0].record.Added).toBeInstanceOf(Date);
+    expect(rows[0].record.Added.toISOString()).toBe("2024-03-01T00:00:00.000Z");
+    expect(rows[1].record.Added.toISOString()).toBe("2024-03-01T09:30:00.000Z");
+  });
+
+  test("coerces dates to ISO 8601 text", async () => {
+    const rows = await readAll(coerceTypes(parseExcel(WORKBOOK)));
+
+    expect(rows.map(({ record }) => record.Added)).toEqual([
+      "2024-03-01",
+      "2024-03-01T09:30:00.000Z",
+    ]);
+    expect(rows.map(({ record }) => record.Price)).toEqual([10.5, 5]);
+  });
+});
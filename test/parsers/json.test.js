@@ -0,0 +1,130 @@
+// The JSON splitter on text fed to it in chunks, the way a file stream does
+const { Readable, pipeline } = require("stream");
+const { parseJSON } = require("../../src/parsers/json");
+
+// Reads the chunks through the parser and resolves with its entries
+function parse(chunks, options) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const streams = parseJSON(options);
+    streams[streams.length - 1].on("data", (entry) => entries.push(entry));
+    pipeline(
+      Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+      ...streams,
+      (error) => (error ? reject(error) : resolve(entries))
+    );
+  });
+}
+
+// Every way of cutting the text in two
+function splits(text) {
+  return Array.from({ length: text.length - 1 }, (_, index) => [
+    text.slice(0, index + 1),
+    text.slice(index + 1),
+  ]);
+}
+
+describe("parseJSON", () => {
+  test("reads an array of objects and their columns", async () => {
+    let headers;
+    const entries = await parse(
+      [
+        '[\n  {"ProductID": "P1", "Price": 1.5},\n',
+        '  {"ProductID": "P2"}\n]\n',
+      ],
+      { onHeaders: (columns) => (headers = columns) }
+    );
+
+    expect(headers).toEqual(["ProductID", "Price"]);
+    expect(entries).toEqual([
+      { rowNumber: 1, record: { ProductID: "P1", Price: 1.5 } },
+      { rowNumber: 2, record: { ProductID: "P2" } },
+    ]);
+  });
+
+  test("numbers the objects of a single-line array by position", async () => {
+    const entries = await parse(['[{"ID":1},{"ID":2},{"ID":3}]']);
+
+    expect(entries.map(({ rowNumber }) => rowNumber)).toEqual([1, 2, 3]);
+  });
+
+  test("reads one object per line, skipping blank lines", async () => {
+    const entries = await parse(['{"ID": 1}\n\n{"ID": 2}\r\n', '{"ID": 3}']);
+
+    expect(entries).toEqual([
+      { rowNumber: 1, record: { ID: 1 } },
+      { rowNumber: 2, record: { ID: 2 } },
+      { rowNumber: 3, record: { ID: 3 } },
+    ]);
+  });
+
+  test("flattens nested objects and keeps lists", async () => {
+    const [{ record }] = await parse([
+      '{"Stock": {"Warehouse": {"Code": "W1"}, "Quantity": 3},' +
+        ' "Tags": ["a", null, {"b": 1}]}',
+    ]);
+
+    expect(record).toEqual({
+      "Stock.Warehouse.Code": "W1",
+      "Stock.Quantity": 3,
+      Tags: ["a", '{"b":1}'],
+    });
+  });
+
+  test("reads objects split across chunks at any point", async () => {
+    const text = '[{"Name": "a \\"}\\" {b", "Size": {"W": 1}}, {"Name": "c"}]';
+    for (const chunks of splits(text)) {
+      expect(await parse(chunks)).toEqual([
+        { rowNumber: 1, record: { Name: 'a "}" {b', "Size.W": 1 } },
+        { rowNumber: 2, record: { Name: "c" } },
+      ]);
+    }
+  });
+
+  test("reads braces, brackets and escapes inside strings", async () => {
+    const entries = await parse([
+      '{"A": "}", "B": "{[", "C": "\\\\", "D": "]}\\"\\\\\\""}\n{"E": "\\u007b"}',
+    ]);
+
+    expect(entries.map(({ record }) => record)).toEqual([
+      { A: "}", B: "{[", C: "\\", D: ']}"\\"' },
+      { E: "{" },
+    ]);
+  });
+
+  test("reads multi-byte characters split across chunks", async () => {
+    const bytes = Buffer.from('{"Name": "Café ☕"}');
+    const entries = await parse([bytes.slice(0, 14), bytes.slice(14)]);
+
+    expect(entries[0].record.Name).toBe("Café ☕");
+  });
+
+  test.each([
+    ['[{"ID": 1}] {"ID": 2}', 'Invalid JSON on line 1: unexpected "{" after'],
+    ['[{"ID": 1}]\n]', 'Invalid JSON on line 2: unexpected "]" after'],
+    ["[1, 2]", 'Invalid JSON on line 1: expected an object, got "1"'],
+    ['{"ID": 1}\nnull', 'Invalid JSON on line 2: expected an object, got "n"'],
+    ['{"ID": 1}\n{"ID": 2,}', "Invalid JSON in object 2, starting on line 2:"],
+    [
+      '[{"ID": 1},\n {"ID": [1, 2}]}',
+      "Invalid JSON in object 2, starting on line 2:",
+    ],
+  ])("rejects %p", async (text, message) => {
+    await expect(parse([text])).rejects.toThrow(message);
+  });
+
+  test.each([
+    ['[{"ID": 1},\n{"ID": "2', "the object starting on line 2 is not closed"],
+    ['{"Name": "a}', "the object starting on line 1 is not closed"],
+    ['[{"ID": 1}', "the array is not closed"],
+  ])("rejects truncated text %p", async (text, message) => {
+    await expect(parse(text.split(","))).rejects.toThrow(
+      `Invalid JSON: ${message}`
+    );
+  });
+
+  test("reads empty files and arrays", async () => {
+    expect(await parse([])).toEqual([]);
+    expect(await parse([" [ ] "])).toEqual([]);
+  });
+});
@@ -0,0 +1,220 @@
+const { readCell, cellText, coerceTypes } = require("../../src/parsers/types");
+const { loadSchema } = require("../../src/schemas");
+
+async function coerce(records, options = {}) {
+  let report;
+  const rows = [];
+  async function* entries() {
+    for (const [index, record] of records.entries()) {
+      yield { rowNumber: index + 2, record };
+    }
+  }
+  for await (const { record } of coerceTypes(entries(), {
+    ...options,
+    onTypes: (sheet, types) => (report = types),
+  })) {
+    rows.push(record);
+  }
+  return { rows, report };
+}
+
+describe("readCell", () => {
+  test("types text cells and keeps their text", () => {
+    expect(readCell("1.00")).toEqual({
+      type: "decimal",
+      value: 1,
+      text: "1.00",
+    });
+    expect(readCell(" TRUE ")).toEqual({
+      type: "boolean",
+      value: true,
+      text: " TRUE ",
+    });
+    expect(readCell("007")).toEqual({
+      type: "string",
+      value: "007",
+      text: "007",
+    });
+    expect(readCell("  ")).toBeNull();
+  });
+
+  test("reads dates as ISO 8601 text", () => {
+    expect(readCell("2024-03-01T09:30").value).toBe("2024-03-01T09:30:00.000Z");
+    expect(readCell(new Date("2024-03-01T00:00:00Z")).value).toBe("2024-03-01");
+  });
+
+  test("reads Excel formula, rich text and error cells", () => {
+    expect(readCell({ formula: "A1*2", result: 4 }).value).toBe(4);
+    expect(readCell({ formula: "A1/0" }).type).toBe("error");
+    expect(readCell({ richText: [{ text: "1." }, { text: "50" }] })).toEqual({
+      type: "decimal",
+      value: 1.5,
+      text: "1.50",
+    });
+    expect(readCell({ error: "#N/A" })).toEqual({
+      type: "error",
+      value: "#N/A",
+    });
+  });
+
+  test("gives header cells their text", () => {
+    expect(cellText("2024")).toBe("2024");
+    expect(cellText("1.0")).toBe("1.0");
+    expect(cellText(2024)).toBe("2024");
+    expect(cellText(null)).toBe("");
+  });
+});
+
+describe("coerceTypes", () => {
+  test("infers the type of each column", async () => {
+    const { rows, report } = await coerce([
+      { ID: "1", Price: "1.50", Active: "TRUE", Added: "2024-03-01" },
+      { ID: "2", Price: "2", Active: "false", Added: "2024-03-01 09:30" },
+    ]);
+
+    expect(report.columns).toEqual({
+      ID: "integer",
+      Price: "decimal",
+      Active: "boolean",
+      Added: "date",
+    });
+    expect(rows).toEqual([
+      { ID: 1, Price: 1.5, Active: true, Added: "2024-03-01" },
+      { ID: 2, Price: 2, Active: false, Added: "2024-03-01T09:30:00.000Z" },
+    ]);
+  });
+
+  test("keeps the text of string columns as it is in the file", async () => {
+    const values = ["1.00", "1.10", "1e3", "TRUE", "2024-03-01T09:30", "n/a"];
+    const { rows, report } = await coerce(values.map((Code) => ({ Code })));
+
+    expect(report.columns.Code).toBe("string");
+    expect(rows.map(({ Code }) => Code)).toEqual(values);
+  });
+
+  test("reports cells that do not fit their column with their text", async () => {
+    const records = Array.from({ length: 10 }, (_, index) => ({
+      Price: `${index}.50`,
+    }));
+    records[9].Price = " n/a ";
+    const { rows, report } = await coerce(records);
+
+    expect(rows[9].Price).toBe(" n/a ");
+    expect(report.uncoercible).toBe(1);
+    expect(report.cells).toEqual([
+      { row: 11, column: "Price", value: " n/a ", type: "decimal" },
+    ]);
+  });
+
+  test("uses the types the schema declares", async () => {
+    const { rows, report } = await coerce(
+      [
+        {
+          ProductID: "1",
+          ProductName: "1.00",
+          Price: "10",
+          Quantity: "2",
+          Tags: "1|2",
+          Batch: "0042",
+          Weight: "1.50",
+        },
+        {
+          ProductID: "2",
+          ProductName: "TRUE",
+          Price: "12.5",
+          Quantity: "3",
+          Tags: "",
+          Batch: "0043",
+          Weight: "2",
+        },
+      ],
+      { schema: loadSchema("products") }
+    );
+
+    expect(report.columns).toEqual({
+      ProductID: "string",
+      ProductName: "string",
+      Price: "decimal",
+      Quantity: "integer",
+      Tags: "string",
+      Batch: "string",
+      Weight: "decimal",
+    });
+    expect(rows[0]).toEqual({
+      ProductID: "1",
+      ProductName: "1.00",
+      Price: 10,
+      Quantity: 2,
+      Tags: "1|2",
+      Batch: "0042",
+      Weight: 1.5,
+    });
+    expect(rows[1].ProductName).toBe("TRUE");
+  });
+
+  test("reports cells that do not fit a declared type", async () => {
+    const { rows, report } = await coerce(
+      [{ ProductID: "P1", Price: "free", Quantity: "1.5" }],
+      { schema: loadSchema("products") }
+    );
+
+    expect(rows[0]).toEqual({
+      ProductID: "P1",
+      Price: "free",
+      Quantity: "1.5",
+    });
+    expect(report.uncoercible).toBe(2);
+  });
+
+  test("reads declared columns the way the cast step does", async () => {
+    const { rows, report } = await coerce(
+      [
+        { ProductID: "P1", Price: "1e3", Quantity: "2e1", Active: "yes" },
+        { ProductID: "P2", Price: " 2.50 ", Quantity: 3, Active: "0" },
+        { ProductID: "P3", Price: 4, Quantity: "4.0", Active: "maybe" },
+      ],
+      {
+        schema: {
+          columns: [
+            { name: "ProductID", type: "string" },
+            { name: "Price", type: "number" },
+            { name: "Quantity", type: "integer" },
+            { name: "Active", type: "boolean" },
+          ],
+          transforms: [],
+        },
+      }
+    );
+
+    expect(rows).toEqual([
+      { ProductID: "P1", Price: "1e3", Quantity: "2e1", Active: true },
+      { ProductID: "P2", Price: 2.5, Quantity: 3, Active: false },
+      { ProductID: "P3", Price: 4, Quantity: 4, Active: "maybe" },
+    ]);
+    expect(report.cells.map(({ row, column }) => [row, column])).toEqual([
+      [2, "Price"],
+      [2, "Quantity"],
+      [4, "Active"],
+    ]);
+  });
+
+  test("finds the declared type of columns the schema renames", async () => {
+    const { rows, report } = await coerce(
+      [{ SKU: "0042", "Unit Price": "1.50", Qty: "2", Title: "1e3" }],
+      { schema: loadSchema("supplier-feed") }
+    );
+
+    expect(report.columns).toEqual({
+      SKU: "string",
+      "Unit Price": "decimal",
+      Qty: "integer",
+      Title: "string",
+    });
+    expect(rows[0]).toEqual({
+      SKU: "0042",
+      "Unit Price": 1.5,
+      Qty: 2,
+      Title: "1e3",
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { compileExpression } = require("../../src/schemas/expressions");
+
+function evaluate(source, record = {}) {
+  return compileExpression(source)(record);
+}
+
+describe("compileExpression", () => {
+  test("reads columns by name and in brackets", () => {
+    const record = { Price: "2.5", "Unit Price": 4, "Stock.Quantity": 3 };
+
+    expect(evaluate("Price", record)).toBe("2.5");
+    expect(evaluate("[Unit Price]", record)).toBe(4);
+    expect(evaluate("Stock.Quantity", record)).toBe(3);
+    expect(evaluate("Missing", record)).toBeNull();
+  });
+
+  test("reads literals", () => {
+    expect(evaluate("1.5e2")).toBe(150);
+    expect(evaluate("'it\\'s'")).toBe("it's");
+    expect(evaluate('"a \\"b\\""')).toBe('a "b"');
+    expect(evaluate("true")).toBe(true);
+    expect(evaluate("false")).toBe(false);
+    expect(evaluate("null")).toBeNull();
+  });
+
+  test("follows operator precedence", () => {
+    expect(evaluate("1 + 2 * 3")).toBe(7);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("10 - 4 - 3")).toBe(3);
+    expect(evaluate("-2 * -3")).toBe(6);
+    expect(evaluate("7 % 4 + 1")).toBe(4);
+    expect(evaluate("1 + 1 == 2 && !false")).toBe(true);
+    expect(evaluate("1 > 2 || 2 >= 2")).toBe(true);
+    expect(evaluate("1 < 2 ? 'yes' : 'no'")).toBe("yes");
+    expect(evaluate("false ? 1 : false ? 2 : 3")).toBe(3);
+  });
+
+  test("reads numeric strings in arithmetic and comparisons", () => {
+    const record = { Price: "19.99", Quantity: "3", Name: "b" };
+
+    expect(evaluate("round(Price * Quantity, 2)", record)).toBe(59.97);
+    expect(evaluate("Quantity > 10", record)).toBe(false);
+    expect(evaluate("Name > 'a'", record)).toBe(true);
+    expect(evaluate("Missing == null", record)).toBe(true);
+    expect(evaluate("Quantity != ''", record)).toBe(true);
+  });
+
+  test("calls the built-in functions", () => {
+    const record = { Name: "  Lamp ", Tags: ["a", "b"], Empty: "" };
+
+    expect(evaluate("upper(trim(Name))", record)).toBe("LAMP");
+    expect(evaluate("concat(trim(Name), '-', 1)", record)).toBe("Lamp-1");
+    expect(evaluate("len(Tags)", record)).toBe(2);
+    expect(evaluate("coalesce(Empty, Missing, 'none')", record)).toBe("none");
+    expect(evaluate("max(1, '5', 3) + min(2, -1)")).toBe(4);
+    expect(evaluate("floor(2.7) + ceil(0.2) + abs(-1)")).toBe(4);
+  });
+
+  test.each([
+    ["", "expression must be a non-empty string"],
+    ["Price *", "unexpected end of expression"],
+    ["(1 + 2", 'expected ")"'],
+    ["1 2", 'unexpected "2"'],
+    ["a ? b", 'expected ":"'],
+    ["Price = 1", 'unexpected "="'],
+    ["Price; process.exit()", 'unexpected ";" at 6'],
+    ["`rm -rf`", 'unexpected "`" at 1'],
+    ["eval('1')", "unknown function eval()"],
+  ])("rejects %p", (source, message) => {
+    expect(() => compileExpression(source)).toThrow(message);
+  });
+
+  test.each([
+    "constructor",
+    "__proto__",
+    "toString",
+    "hasOwnProperty",
+    "Price.constructor",
+    "__proto__.polluted",
+    "[constructor]",
+  ])("reads %s as a column, not a property", (source) => {
+    expect(evaluate(source, { Price: 1 })).toBeNull();
+  });
+
+  test.each([
+    "constructor('return process')",
+    "toString()",
+    "hasOwnProperty('Price')",
+    "__proto__()",
+    "round.constructor('return process')()",
+    "Price.constructor('return process')()",
+  ])("does not call %s", (source) => {
+    expect(() => compileExpression(source)).toThrow(/unknown function/);
+  });
+
+  test("has no way to write to the record", () => {
+    const record = { Price: 1 };
+    evaluate("__proto__ == null ? Price : 0", record);
+
+    expect(record).toEqual({ Price: 1 });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test.each([
+    ["Price * 2", { Price: "abc" }, '"abc" is not a number'],
+    ["Price + 1", {}, "a value is missing"],
+    ["1 / Quantity", { Quantity: 0 }, "division by zero"],
+    ["1 % 0", {}, "division by zero"],
+  ])("fails to evaluate %p on %p", (source, record, message) => {
+    const fn = compileExpression(source);
+    expect(() => fn(record)).toThrow(message);
+  });
+});
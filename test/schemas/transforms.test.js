@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline, Writable } = require("stream");
+const { parseCSV } = require("../../src/parsers/csv");
+const { parseJSON } = require("../../src/parsers/json");
+const {
+  compileTransforms,
+  applyTransforms,
+  transformHeaders,
+} = require("../../src/schemas/transforms");
+const { loadSchema, applySchema, toRowErrors } = require("../../src/schemas");
+
+// A schema made of the given steps and columns
+function schemaOf(steps, columns = []) {
+  return { columns, transforms: compileTransforms("test", steps) };
+}
+
+describe("compileTransforms", () => {
+  test.each([
+    [{ type: "drop" }, "transform 1 must have a type"],
+    ["rename", "transform 1 must have a type"],
+    [{ type: "rename", columns: {} }, "columns must be a non-empty object"],
+    [{ type: "trim", columns: [] }, "columns must be a non-empty list"],
+    [{ type: "case", to: "snake" }, "to must be one of: lower, upper, title"],
+    [{ type: "cast", columns: { Price: "money" } }, 'unknown type "money"'],
+    [{ type: "map", values: { a: "b" } }, "column must be a column name"],
+    [
+      { type: "compute", column: "Total", expression: "Price *" },
+      "(compute): expression: unexpected end of expression",
+    ],
+    [
+      { type: "compute", column: "Total", expression: "Price.toString()" },
+      "unknown function Price.toString()",
+    ],
+  ])("rejects %p", (step, message) => {
+    expect(() => compileTransforms("test", [step])).toThrow(message);
+  });
+
+  test("reports the position of the invalid step", () => {
+    expect(() =>
+      compileTransforms("feed", [{ type: "trim" }, { type: "case" }])
+    ).toThrow('Schema "feed" transform 2 (case): to must be one of');
+  });
+
+  test.each([
+    { type: "rename", columns: { meta: "__proto__" } },
+    { type: "compute", column: "__proto__", expression: "meta" },
+    { type: "default", values: JSON.parse('{"__proto__": "x"}') },
+    { type: "map", column: "__proto__", values: { a: "b" } },
+  ])("does not write to __proto__ (%p)", (step) => {
+    expect(() => compileTransforms("test", [step])).toThrow(
+      '"__proto__" cannot be used as a column name'
+    );
+  });
+});
+
+describe("applyTransforms", () => {
+  test("renames columns and the header row", () => {
+    const schema = schemaOf([
+      { type: "rename", columns: { SKU: "ProductID", Qty: "Quantity" } },
+    ]);
+
+    expect(applyTransforms({ SKU: "P1", Name: "Lamp" }, schema)).toEqual({
+      ProductID: "P1",
+      Name: "Lamp",
+    });
+    expect(transformHeaders(["SKU", "Name"], schema)).toEqual([
+      "ProductID",
+      "Name",
+    ]);
+  });
+
+  test("trims and changes the case of text, value by value", () => {
+    const schema = schemaOf(
+      [
+        { type: "trim" },
+        { type: "case", columns: ["Name"], to: "title" },
+        { type: "case", columns: ["Tags"], to: "upper" },
+      ],
+      [{ name: "Tags", multiValue: true }]
+    );
+
+    expect(
+      applyTransforms({ Name: " desk-lamp  ", Tags: "a| b ", Price: 1 }, schema)
+    ).toEqual({ Name: "Desk-Lamp", Tags: ["A", "B"], Price: 1 });
+  });
+
+  test("casts, fills defaults and maps values", () => {
+    const schema = schemaOf([
+      { type: "default", values: { Quantity: 1 } },
+      { type: "cast", columns: { Price: "number", Quantity: "integer" } },
+      {
+        type: "map",
+        column: "Category",
+        values: { tees: "t-shirts" },
+        ignoreCase: true,
+      },
+    ]);
+
+    expect(
+      applyTransforms({ Price: "9.50", Quantity: "", Category: "Tees" }, schema)
+    ).toEqual({ Price: 9.5, Quantity: 1, Category: "t-shirts" });
+    expect(transformHeaders(["Price"], schema)).toEqual(["Price", "Quantity"]);
+  });
+
+  test("computes columns from the record", () => {
+    const schema = schemaOf([
+      { type: "compute", column: "Total", expression: "Price * Quantity" },
+    ]);
+    const record = { Price: "2.5", Quantity: "4" };
+
+    expect(applyTransforms(record, schema)).toEqual({ ...record, Total: 10 });
+    expect(record).not.toHaveProperty("Total");
+    expect(transformHeaders(["Price"], schema)).toEqual(["Price", "Total"]);
+  });
+
+  test("keeps the prototype of records with __proto__ keys", () => {
+    const schema = schemaOf([
+      { type: "rename", columns: JSON.parse('{"__proto__": "Meta"}') },
+      { type: "compute", column: "Copy", expression: "__proto__" },
+    ]);
+    const record = JSON.parse('{"__proto__": {"polluted": true}}');
+    const transformed = applyTransforms(record, schema);
+
+    expect(Object.getPrototypeOf(transformed)).toBe(Object.prototype);
+    expect(transformed.polluted).toBeUndefined();
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test("fails records with every value that cannot be cast", () => {
+    const schema = schemaOf([
+      { type: "cast", columns: { Price: "number", Quantity: "integer" } },
+    ]);
+
+    expect(() =>
+      applyTransforms({ Price: "abc", Quantity: "1.5" }, schema)
+    ).toThrow(
+      'Price must be a number, got "abc"; Quantity must be an integer, got "1.5"'
+    );
+  });
+
+  test("fails records whose column cannot be computed", () => {
+    const schema = schemaOf([
+      { type: "compute", column: "Total", expression: "Price * Quantity" },
+    ]);
+
+    let error;
+    try {
+      applyTransforms({ Price: "free", Quantity: "1" }, schema);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(toRowErrors(7, error)).toEqual([
+      {
+        row: 7,
+        column: "Total",
+        value: null,
+        message: 'Total could not be computed: "free" is not a number',
+      },
+    ]);
+  });
+});
+
+describe("the supplier-feed schema", () => {
+  const schema = loadSchema("supplier-feed");
+
+  test("brings a supplier row in line with the schema", () => {
+    const record = applyTransforms(
+      {
+        SKU: " p7 ",
+        Title: "Hoodie",
+        "Unit Price": "19.999",
+        Qty: "",
+        Category: "Hoodies|TEES",
+      },
+      schema
+    );
+
+    expect(applySchema(record, schema)).toEqual({
+      ProductID: "P7",
+      ProductName: "Hoodie",
+      Price: 19.999,
+      Quantity: 1,
+      Categories: ["sweatshirts", "t-shirts"],
+      Total: 20,
+    });
+  });
+
+  test("reports rows with a price that is not a number", () => {
+    expect(() =>
+      applyTransforms(
+        { SKU: "P1", Title: "Lamp", "Unit Price": "n/a", Qty: "2" },
+        schema
+      )
+    ).toThrow('Price must be a number, got "n/a"');
+  });
+});
+
+describe("supplier feed files", () => {
+  const schema = loadSchema("supplier-feed");
+
+  // Records of a fixture through the parser, the steps and the schema, with
+  // the errors of the rows that fail
+  function importFile(name, streams) {
+    const records = [];
+    const errors = [];
+    return new Promise((resolve, reject) => {
+      pipeline(
+        fs.createReadStream(path.join(__dirname, "../fixtures", name)),
+        ...streams,
+        new Writable({
+          objectMode: true,
+          write({ rowNumber, record }, encoding, callback) {
+            try {
+              records.push(
+                applySchema(applyTransforms(record, schema), schema)
+              );
+            } catch (error) {
+              errors.push(...toRowErrors(rowNumber, error));
+            }
+            callback();
+          },
+        }),
+        (error) => (error ? reject(error) : resolve({ records, errors }))
+      );
+    });
+  }
+
+  const RECORDS = [
+    {
+      ProductID: "P1",
+      ProductName: "Desk Lamp",
+      Price: 19.999,
+      Quantity: 2,
+      Categories: ["lamps"],
+      Total: 40,
+    },
+    {
+      ProductID: "P2",
+      ProductName: "Hoodie, grey",
+      Price: 35,
+      Quantity: 1,
+      Categories: ["sweatshirts", "t-shirts"],
+      Total: 35,
+    },
+  ];
+
+  const errorsOn = (rows) => [
+    {
+      row: rows[0],
+      column: "Price",
+      value: "n/a",
+      message: 'Price must be a number, got "n/a"',
+    },
+    {
+      row: rows[1],
+      column: "Quantity",
+      value: 0,
+      message: "Quantity must be greater than 0",
+    },
+  ];
+
+  test("imports a CSV feed", async () => {
+    const { records, errors } = await importFile(
+      "supplier-feed.csv",
+      parseCSV({ schema })
+    );
+
+    expect(records).toEqual(RECORDS);
+    expect(errors).toEqual(errorsOn([4, 5]));
+  });
+
+  test("imports the same feed as JSON", async () => {
+    const { records, errors } = await importFile(
+      "supplier-feed.json",
+      parseJSON()
+    );
+
+    expect(records).toEqual(RECORDS);
+    expect(errors).toEqual(errorsOn([3, 4]));
+  });
+});
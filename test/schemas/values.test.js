@@ -0,0 +1,79 @@
+const { castValue } = require("../../src/schemas/values");
+const { loadSchema, applySchema } = require("../../src/schemas");
+
+const PRICE = { name: "Price", type: "number" };
+const QUANTITY = { name: "Quantity", type: "integer" };
+
+describe("castValue", () => {
+  test("reads decimal text as numbers", () => {
+    expect(castValue("12", PRICE)).toBe(12);
+    expect(castValue(" -1.50 ", PRICE)).toBe(-1.5);
+    expect(castValue(".5", PRICE)).toBe(0.5);
+    expect(castValue("+3.", PRICE)).toBe(3);
+    expect(castValue(9.99, PRICE)).toBe(9.99);
+  });
+
+  test.each(["0x10", "1e3", " ", "", "Infinity", "1,5", "12abc", "--1"])(
+    "rejects %p as a number",
+    (value) => {
+      expect(() => castValue(value, PRICE)).toThrow(
+        `Price must be a number, got "${value}"`
+      );
+    }
+  );
+
+  test("rejects numbers that are not finite", () => {
+    expect(() => castValue(Infinity, PRICE)).toThrow("Price must be a number");
+    expect(() => castValue(NaN, PRICE)).toThrow("Price must be a number");
+  });
+
+  test("requires whole numbers in integer columns", () => {
+    expect(castValue("7", QUANTITY)).toBe(7);
+    expect(() => castValue("7.5", QUANTITY)).toThrow(
+      'Quantity must be an integer, got "7.5"'
+    );
+  });
+
+  test("reads booleans", () => {
+    const column = { name: "Active", type: "boolean" };
+    expect(castValue("Yes", column)).toBe(true);
+    expect(castValue("0", column)).toBe(false);
+    expect(() => castValue("maybe", column)).toThrow(
+      'Active must be a boolean, got "maybe"'
+    );
+  });
+});
+
+describe("the products schema", () => {
+  const schema = loadSchema();
+
+  test("is the default schema", () => {
+    expect(schema.name).toBe("products");
+  });
+
+  test("accepts a valid record", () => {
+    expect(
+      applySchema(
+        {
+          ProductID: "P1",
+          ProductName: "Lamp",
+          Price: "10.50",
+          Quantity: "2",
+          Tags: "sale|new",
+        },
+        schema
+      )
+    ).toMatchObject({ Price: 10.5, Quantity: 2, Tags: ["sale", "new"] });
+  });
+
+  test("reports every failing column", () => {
+    expect(() =>
+      applySchema(
+        { ProductID: "X1", ProductName: "", Price: "0x10", Quantity: "1" },
+        schema
+      )
+    ).toThrow(
+      'ProductID does not match the pattern ^P\\d+$; ProductName is required; Price must be a number, got "0x10"'
+    );
+  });
+});
@@ -0,0 +1,21 @@
+process.env.ADMIN_API_KEY = "admin-secret";
+process.env.METRICS_TOKEN = "scraper-token";
+
+const { isMetricsToken, authenticateKey } = require("../../src/shared/apiKeys");
+
+describe("isMetricsToken", () => {
+  test("accepts the metrics token only", () => {
+    expect(isMetricsToken("scraper-token")).toBe(true);
+    expect(isMetricsToken("scraper-token ")).toBe(false);
+    expect(isMetricsToken("admin-secret")).toBe(false);
+    expect(isMetricsToken("")).toBe(false);
+    expect(isMetricsToken(undefined)).toBe(false);
+  });
+
+  test("is not an API key", async () => {
+    await expect(authenticateKey("scraper-token")).resolves.toBeNull();
+    await expect(authenticateKey("admin-secret")).resolves.toMatchObject({
+      role: "admin",
+    });
+  });
+});
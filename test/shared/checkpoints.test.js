@@ -0,0 +1,102 @@
+// Checkpoints against an in-memory stand-in for the queue's ioredis client
+process.env.CHECKPOINT_ROWS = "3";
+process.env.CHECKPOINT_INTERVAL_MS = "60000";
+
+const {
+  openCheckpoints,
+  serializeSummary,
+  restoreSummary,
+  willRetry,
+} = require("../../src/shared/checkpoints");
+
+function fakeQueue() {
+  const data = new Map();
+  return {
+    data,
+    toKey: (key) => `bull:csv-processing:${key}`,
+    client: {
+      get: async (key) => (data.has(key) ? data.get(key).value : null),
+      set: async (key, value, mode, ttl) => {
+        data.set(key, { value, mode, ttl });
+        return "OK";
+      },
+      del: async (key) => (data.delete(key) ? 1 : 0),
+    },
+  };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("openCheckpoints", () => {
+  test("saves, loads and clears the checkpoint of a job", async () => {
+    const queue = fakeQueue();
+    const checkpoints = openCheckpoints(queue, { id: "7" });
+    expect(await checkpoints.load()).toBeNull();
+
+    await checkpoints.save({ position: 500, results: { processed: 498 } });
+    const saved = queue.data.get("bull:csv-processing:7:checkpoint");
+    expect(saved).toMatchObject({ mode: "EX", ttl: 7 * 24 * 60 * 60 });
+
+    // A retry opens the checkpoints of the job again
+    expect(await openCheckpoints(queue, { id: "7" }).load()).toEqual({
+      position: 500,
+      results: { processed: 498 },
+      savedAt: expect.any(Number),
+    });
+    expect(await openCheckpoints(queue, { id: "8" }).load()).toBeNull();
+
+    await checkpoints.clear();
+    expect(await checkpoints.load()).toBeNull();
+  });
+
+  test("is due every few rows", async () => {
+    const checkpoints = openCheckpoints(fakeQueue(), { id: "7" });
+
+    expect([1, 2, 3].map(() => checkpoints.due())).toEqual([
+      false,
+      false,
+      true,
+    ]);
+    await checkpoints.save({ position: 3 });
+    expect(checkpoints.due()).toBe(false);
+  });
+
+  test("is due once enough time has passed", () => {
+    const now = Date.now();
+    const checkpoints = openCheckpoints(fakeQueue(), { id: "7" });
+
+    jest.spyOn(Date, "now").mockReturnValue(now + 60000);
+    expect(checkpoints.due()).toBe(true);
+  });
+});
+
+describe("serializeSummary", () => {
+  test("saves the unique values of a summary and restores them", () => {
+    const summary = {
+      duplicates: { count: 1, keys: [{ key: { ProductID: "P1" } }] },
+      multiValueFields: {
+        Tags: { totalValues: 3, uniqueValues: new Set(["a", "b"]) },
+      },
+    };
+    const restored = restoreSummary(
+      JSON.parse(JSON.stringify(serializeSummary(summary)))
+    );
+
+    expect(restored).toEqual(summary);
+    expect(restored.multiValueFields.Tags.uniqueValues).toBeInstanceOf(Set);
+  });
+});
+
+describe("willRetry", () => {
+  const job = (attemptsMade, discarded = false) => ({
+    attemptsMade,
+    opts: { attempts: 3 },
+    isDiscarded: () => discarded,
+  });
+
+  test("tells whether Bull retries a failing attempt", () => {
+    expect(willRetry(job(1))).toBe(true);
+    expect(willRetry(job(2))).toBe(false);
+    expect(willRetry(job(0, true))).toBe(false);
+  });
+});
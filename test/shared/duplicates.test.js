@@ -0,0 +1,170 @@
+// Key indexes against an in-memory stand-in for the queue's ioredis client,
+// and duplicate resolution on result files in a temporary directory
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.RESULT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "results-"));
+
+const {
+  openKeyIndex,
+  resolveDuplicates,
+} = require("../../src/shared/duplicates");
+const {
+  openResultWriter,
+  readResultRecords,
+} = require("../../src/shared/resultStore");
+
+// Hashes and sets of a fake Redis, with the commands the index uses
+function fakeClient() {
+  const data = new Map();
+  const of = (key, Type) => {
+    if (!data.has(key)) data.set(key, new Type());
+    return data.get(key);
+  };
+  const commands = {
+    hsetnx(key, field, value) {
+      const hash = of(key, Map);
+      if (hash.has(field)) return 0;
+      hash.set(field, String(value));
+      return 1;
+    },
+    hget: (key, field) => of(key, Map).get(field) || null,
+    sadd: (key, member) => (of(key, Set).add(member), 1),
+    expire: () => 1,
+  };
+
+  return {
+    data,
+    multi() {
+      const queued = [];
+      const multi = { exec: async () => queued.map((run) => [null, run()]) };
+      Object.entries(commands).forEach(([name, command]) => {
+        multi[name] = (...args) => {
+          queued.push(() => command(...args));
+          return multi;
+        };
+      });
+      return multi;
+    },
+    smembers: async (key) => Array.from(of(key, Set)),
+    del: async (...keys) => keys.filter((key) => data.delete(key)).length,
+  };
+}
+
+const OPTIONS = { columns: ["ProductID"], policy: "merge" };
+
+afterAll(() => fs.rmSync(process.env.RESULT_DIR, { recursive: true }));
+
+describe("openKeyIndex", () => {
+  test("returns the row a key was first seen on", async () => {
+    const index = openKeyIndex(OPTIONS, fakeClient(), "bull:csv:1:keys");
+
+    expect(await index.check({ ProductID: "P1" }, 2, 1)).toBeNull();
+    expect(await index.check({ ProductID: "P2" }, 3, 2)).toBeNull();
+    expect(await index.check({ ProductID: "P1" }, 4, 3)).toBe(2);
+    expect(await index.check({ ProductID: "P1" }, 5, 4)).toBe(2);
+    expect(await index.duplicatedKeys()).toEqual(new Set(['["P1"]']));
+  });
+
+  test("finds duplicates among records with the same row number", async () => {
+    // Every object of a JSON array on one line
+    const index = openKeyIndex(OPTIONS, fakeClient(), "bull:json:1:keys");
+
+    expect(await index.check({ ProductID: "P1" }, 1, 1)).toBeNull();
+    expect(await index.check({ ProductID: "P1" }, 1, 2)).toBe(1);
+  });
+
+  test("does not index blank keys", async () => {
+    const client = fakeClient();
+    const index = openKeyIndex(OPTIONS, client, "bull:csv:1:keys");
+
+    expect(await index.check({ ProductID: "" }, 2, 1)).toBeNull();
+    expect(await index.check({ ProductID: "" }, 3, 2)).toBeNull();
+    expect(client.data.size).toBe(0);
+  });
+
+  test("keeps the keys in Redis, not in the worker", async () => {
+    const client = fakeClient();
+    const index = openKeyIndex(OPTIONS, client, "bull:csv:1:keys");
+    for (let row = 2; row < 1002; row++) {
+      await index.check({ ProductID: `P${row}` }, row, row - 1);
+    }
+
+    expect(client.data.get("bull:csv:1:keys").size).toBe(1000);
+    expect(JSON.stringify(index)).not.toMatch(/P\d+/);
+  });
+
+  test("resumes with the keys of an earlier attempt", async () => {
+    const client = fakeClient();
+    const first = openKeyIndex(OPTIONS, client, "bull:csv:1:keys");
+    await first.check({ ProductID: "P1" }, 2, 1);
+    await first.check({ ProductID: "P2" }, 3, 2);
+
+    // The retry reads row 3 again, after a checkpoint on row 2
+    const retry = openKeyIndex(OPTIONS, client, "bull:csv:1:keys");
+    expect(await retry.check({ ProductID: "P2" }, 3, 2)).toBeNull();
+    expect(await retry.check({ ProductID: "P1" }, 4, 3)).toBe(2);
+  });
+
+  test("clears its keys", async () => {
+    const client = fakeClient();
+    const index = openKeyIndex(OPTIONS, client, "bull:csv:1:keys");
+    await index.check({ ProductID: "P1" }, 2, 1);
+    await index.check({ ProductID: "P1" }, 3, 2);
+
+    await index.clear();
+    expect(client.data.size).toBe(0);
+  });
+});
+
+describe("resolveDuplicates", () => {
+  async function store(name, records) {
+    const writer = openResultWriter(`${name}.ndjson`);
+    for (const record of records) await writer.write(record);
+    return writer.close();
+  }
+
+  async function readAll(ref) {
+    const records = [];
+    for await (const record of readResultRecords(ref)) records.push(record);
+    return records;
+  }
+
+  const RECORDS = [
+    { ProductID: "P1", Price: 1, Tags: ["a"] },
+    { ProductID: "P2", Price: 2, Tags: [] },
+    { ProductID: "P1", Price: "", Tags: ["b"] },
+    { ProductID: "P1", Price: 3, Tags: ["a"] },
+  ];
+
+  test("merges the records of a key in the place of the first", async () => {
+    const ref = await store("merge", RECORDS);
+    const resolved = await resolveDuplicates(
+      OPTIONS,
+      new Set(['["P1"]']),
+      ref,
+      openResultWriter("merge-deduplicated.ndjson")
+    );
+
+    expect(await readAll(resolved)).toEqual([
+      { ProductID: "P1", Price: 3, Tags: ["a", "b"] },
+      { ProductID: "P2", Price: 2, Tags: [] },
+    ]);
+  });
+
+  test("keeps the last record of a key in the place of the first", async () => {
+    const ref = await store("last", RECORDS);
+    const resolved = await resolveDuplicates(
+      { ...OPTIONS, policy: "last" },
+      new Set(['["P1"]']),
+      ref,
+      openResultWriter("last-deduplicated.ndjson")
+    );
+
+    expect(await readAll(resolved)).toEqual([
+      { ProductID: "P1", Price: 3, Tags: ["a"] },
+      { ProductID: "P2", Price: 2, Tags: [] },
+    ]);
+  });
+});
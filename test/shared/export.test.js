@@ -0,0 +1,121 @@
+const { Writable } = require("stream");
+const { exportRecords } = require("../../src/shared/export");
+
+// A destination that takes a few chunks, then stops draining, like a slow
+// client
+function stalledOutput(accepted = 2) {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 1,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      if (chunks.length < accepted) callback();
+    },
+  });
+  return { output, chunks };
+}
+
+function collectingOutput() {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+  });
+  return { output, chunks };
+}
+
+async function* generate(count, state) {
+  try {
+    for (let i = 1; i <= count; i++) {
+      state.read = i;
+      yield { id: i, tags: ["a", "b"] };
+    }
+  } finally {
+    state.closed = true;
+  }
+}
+
+describe("exportRecords", () => {
+  test("writes NDJSON and CSV", async () => {
+    const ndjson = collectingOutput();
+    await exportRecords(generate(2, {}), "ndjson", ndjson.output);
+    expect(ndjson.chunks.join("")).toBe(
+      '{"id":1,"tags":["a","b"]}\n{"id":2,"tags":["a","b"]}\n'
+    );
+
+    const csv = collectingOutput();
+    await exportRecords(generate(1, {}), "csv", csv.output, ["id", "tags"]);
+    expect(csv.chunks.join("")).toBe('id,tags\n1,"a,b"\n');
+  });
+
+  test("keeps values from running as formulas when asked to", async () => {
+    const records = [
+      { row: 2, value: '=HYPERLINK("http://x","y")' },
+      { row: 3, value: "+1" },
+      { row: 4, value: "-2" },
+      { row: 5, value: "@SUM(A1)" },
+      { row: 6, value: -2 },
+      { row: 7, value: "Lamp" },
+    ];
+    const columns = ["row", "value"];
+
+    const escaped = collectingOutput();
+    await exportRecords(records, "csv", escaped.output, columns, {
+      escapeFormulas: true,
+    });
+    expect(escaped.chunks.join("")).toBe(
+      [
+        "row,value",
+        '2,"\'=HYPERLINK(""http://x"",""y"")"',
+        "3,'+1",
+        "4,'-2",
+        "5,'@SUM(A1)",
+        "6,-2",
+        "7,Lamp",
+        "",
+      ].join("\n")
+    );
+
+    const plain = collectingOutput();
+    await exportRecords(records, "csv", plain.output, columns);
+    expect(plain.chunks.join("")).toContain("\n3,+1\n");
+  });
+
+  test.each(["ndjson", "csv"])(
+    "stops reading records when the %s output closes mid-way",
+    async (format) => {
+      const state = {};
+      const { output } = stalledOutput();
+      const done = exportRecords(generate(1000, state), format, output, ["id"]);
+
+      setImmediate(() => output.destroy());
+      await expect(done).rejects.toThrow(
+        "The output was closed before all records were written"
+      );
+      expect(state.read).toBeLessThan(10);
+      expect(state.closed).toBe(true);
+    }
+  );
+
+  test("fails on an output that errors while full", async () => {
+    const { output } = stalledOutput();
+    output.on("error", () => {});
+    const done = exportRecords(generate(1000, {}), "ndjson", output);
+
+    setImmediate(() => output.destroy(new Error("socket hang up")));
+    await expect(done).rejects.toThrow("socket hang up");
+  });
+
+  test("fails on an output that is already closed", async () => {
+    const state = {};
+    const { output } = collectingOutput();
+    output.destroy();
+
+    await expect(
+      exportRecords(generate(10, state), "ndjson", output)
+    ).rejects.toThrow("The output was closed");
+    expect(state.closed).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+// Queue metrics from samples in an in-memory stand-in for the queue's sorted
+// set, and their Prometheus exposition
+const {
+  collectQueueMetrics,
+  toPrometheus,
+} = require("../../src/shared/metrics");
+
+const NOW = 1700000000000;
+
+// A queue whose sorted set holds samples finished the given seconds ago
+function fakeQueue(samples) {
+  const entries = samples.flatMap(({ ago, ...sample }) => [
+    JSON.stringify(sample),
+    String(NOW - ago * 1000),
+  ]);
+  return {
+    toKey: (key) => `bull:csv-processing:${key}`,
+    client: { zrangebyscore: async () => entries },
+  };
+}
+
+const SAMPLES = [
+  { ago: 10, outcome: "completed", rows: 100, waitMs: 1000, durationMs: 2000 },
+  { ago: 20, outcome: "completed", rows: 50, waitMs: 3000, durationMs: 4000 },
+  { ago: 30, outcome: "failed", rows: 0, waitMs: 500, durationMs: 500 },
+  { ago: 200, outcome: "completed", rows: 30, waitMs: 0, durationMs: 6000 },
+];
+
+describe("collectQueueMetrics", () => {
+  test("aggregates the samples of each window", async () => {
+    const windows = await collectQueueMetrics(fakeQueue(SAMPLES), NOW);
+
+    expect(windows["1m"]).toEqual({
+      completed: 2,
+      failedAttempts: 1,
+      rows: 150,
+      jobsPerSecond: 0.033,
+      rowsPerSecond: 2.5,
+      failureRate: 0.333,
+      waitTimeMs: {
+        count: 3,
+        sum: 4500,
+        avg: 1500,
+        p50: 1000,
+        p90: 3000,
+        p99: 3000,
+      },
+      durationMs: {
+        count: 3,
+        sum: 6500,
+        avg: 2167,
+        p50: 2000,
+        p90: 4000,
+        p99: 4000,
+      },
+    });
+    expect(windows["5m"]).toMatchObject({ completed: 3, rows: 180 });
+    expect(windows["15m"].durationMs.p99).toBe(6000);
+  });
+
+  test("has no percentiles for windows without jobs", async () => {
+    const windows = await collectQueueMetrics(fakeQueue([]), NOW);
+
+    expect(windows["1m"].durationMs).toEqual({
+      count: 0,
+      sum: 0,
+      avg: null,
+      p50: null,
+      p90: null,
+      p99: null,
+    });
+  });
+});
+
+describe("toPrometheus", () => {
+  test("exports counts and rates as gauges and times as summaries", async () => {
+    const windows = await collectQueueMetrics(fakeQueue(SAMPLES), NOW);
+    const text = toPrometheus({
+      "csv-processing": {
+        counts: { waiting: 2, active: 1 },
+        windows: { "1m": windows["1m"] },
+      },
+    });
+
+    expect(text).toBe(
+      [
+        "# HELP file_processing_queue_jobs Jobs in the queue, by state",
+        "# TYPE file_processing_queue_jobs gauge",
+        'file_processing_queue_jobs{queue="csv-processing",state="waiting"} 2',
+        'file_processing_queue_jobs{queue="csv-processing",state="active"} 1',
+        "# HELP file_processing_jobs_per_second Jobs finished per second over the sliding window",
+        "# TYPE file_processing_jobs_per_second gauge",
+        'file_processing_jobs_per_second{queue="csv-processing",window="1m"} 0.033',
+        "# HELP file_processing_rows_per_second Rows read per second by finished jobs over the sliding window",
+        "# TYPE file_processing_rows_per_second gauge",
+        'file_processing_rows_per_second{queue="csv-processing",window="1m"} 2.5',
+        "# HELP file_processing_failure_ratio Share of job attempts that failed over the sliding window",
+        "# TYPE file_processing_failure_ratio gauge",
+        'file_processing_failure_ratio{queue="csv-processing",window="1m"} 0.333',
+        "# HELP file_processing_wait_seconds Time jobs waited in the queue over the sliding window",
+        "# TYPE file_processing_wait_seconds summary",
+        'file_processing_wait_seconds{queue="csv-processing",window="1m",quantile="0.5"} 1',
+        'file_processing_wait_seconds{queue="csv-processing",window="1m",quantile="0.9"} 3',
+        'file_processing_wait_seconds{queue="csv-processing",window="1m",quantile="0.99"} 3',
+        'file_processing_wait_seconds_sum{queue="csv-processing",window="1m"} 4.5',
+        'file_processing_wait_seconds_count{queue="csv-processing",window="1m"} 3',
+        "# HELP file_processing_duration_seconds Time jobs took to process over the sliding window",
+        "# TYPE file_processing_duration_seconds summary",
+        'file_processing_duration_seconds{queue="csv-processing",window="1m",quantile="0.5"} 2',
+        'file_processing_duration_seconds{queue="csv-processing",window="1m",quantile="0.9"} 4',
+        'file_processing_duration_seconds{queue="csv-processing",window="1m",quantile="0.99"} 4',
+        'file_processing_duration_seconds_sum{queue="csv-processing",window="1m"} 6.5',
+        'file_processing_duration_seconds_count{queue="csv-processing",window="1m"} 3',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("reports missing quantiles as NaN and escapes labels", async () => {
+    const windows = await collectQueueMetrics(fakeQueue([]), NOW);
+    const text = toPrometheus({
+      'odd"queue\\': { counts: {}, windows: { "1m": windows["1m"] } },
+    });
+
+    expect(text).toContain(
+      'file_processing_duration_seconds{queue="odd\\"queue\\\\",window="1m",quantile="0.5"} NaN'
+    );
+    expect(text).toContain(
+      'file_processing_duration_seconds_count{queue="odd\\"queue\\\\",window="1m"} 0'
+    );
+  });
+});
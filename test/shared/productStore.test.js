@@ -0,0 +1,150 @@
+// The product store on a SQLite database in a temporary directory, with the
+// filters of GET /products taken from the schemas
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "products-"));
+process.env.PRODUCT_STORE = path.join(dir, "products.db");
+process.env.SCHEMA_DIR = path.join(dir, "schemas");
+
+// The schemas of the repository, and invalid ones
+fs.mkdirSync(process.env.SCHEMA_DIR);
+["products", "supplier-feed"].forEach((name) =>
+  fs.copyFileSync(
+    path.join(__dirname, `../../src/schemas/${name}.json`),
+    path.join(process.env.SCHEMA_DIR, `${name}.json`)
+  )
+);
+function writeSchema(name, columns) {
+  fs.writeFileSync(
+    path.join(process.env.SCHEMA_DIR, `${name}.json`),
+    JSON.stringify({ name, columns })
+  );
+}
+writeSchema("bad-name", [{ name: "Price", type: "number", filter: "Price" }]);
+writeSchema("bad-type", [{ name: "Active", type: "boolean", filter: "on" }]);
+writeSchema("reserved", [{ name: "Page", filter: "page" }]);
+writeSchema("clash", [
+  { name: "Price", type: "number", filter: "price" },
+  { name: "MinPrice", filter: "minPrice" },
+]);
+
+const { loadSchema, getProductFilters } = require("../../src/schemas");
+const {
+  storeRecords,
+  queryProducts,
+  findProductTenants,
+  getProduct,
+} = require("../../src/shared/productStore");
+
+afterAll(() => fs.rmSync(dir, { recursive: true }));
+
+async function* generate(records) {
+  yield* records;
+}
+
+function store(tenant, schema, records) {
+  return storeRecords(generate(records), {
+    tenant,
+    schema,
+    columns: ["ProductID"],
+    queue: "csv-processing",
+    jobId: 1,
+  });
+}
+
+describe("getProductFilters", () => {
+  test("takes the filters from the columns of the schema", () => {
+    expect(getProductFilters(loadSchema("products"))).toEqual([
+      { column: "Price", params: { min: "minPrice", max: "maxPrice" } },
+      { column: "Tags", params: { value: "tag" } },
+      { column: "Categories", params: { value: "category" } },
+    ]);
+    expect(getProductFilters(loadSchema("supplier-feed"))).toEqual([
+      { column: "Price", params: { min: "minPrice", max: "maxPrice" } },
+      { column: "Categories", params: { value: "category" } },
+    ]);
+  });
+
+  test.each([
+    ["bad-name", "column Price filter must be a name in camelCase"],
+    ["bad-type", "column Active filter needs a string, number or integer"],
+    ["reserved", "filter parameter page is already in use"],
+    ["clash", "filter parameter minPrice is already in use"],
+  ])("rejects the filters of schema %s", (name, message) => {
+    expect(() => loadSchema(name)).toThrow(`Schema "${name}": ${message}`);
+  });
+});
+
+describe("queryProducts", () => {
+  beforeAll(() =>
+    store("acme", "products", [
+      { ProductID: "P1", Price: 5, Tags: ["sale"], Categories: ["Lamps"] },
+      { ProductID: "P2", Price: 15, Tags: ["new"], Categories: ["Desks"] },
+      { ProductID: "P3", Price: 25, Tags: ["sale", "new"], Categories: [] },
+    ])
+  );
+
+  const keys = (filters) =>
+    queryProducts({ tenant: "acme", schema: "products", filters }).products.map(
+      ({ key }) => key
+    );
+
+  test("matches a value of a column, ignoring case", () => {
+    expect(keys([{ column: "Tags", value: "SALE" }])).toEqual(["P1", "P3"]);
+    expect(keys([{ column: "Categories", value: "desks" }])).toEqual(["P2"]);
+  });
+
+  test("bounds a number column", () => {
+    expect(keys([{ column: "Price", min: 10 }])).toEqual(["P2", "P3"]);
+    expect(keys([{ column: "Price", min: 10, max: 20 }])).toEqual(["P2"]);
+    expect(
+      keys([
+        { column: "Price", max: 30 },
+        { column: "Tags", value: "new" },
+      ])
+    ).toEqual(["P2", "P3"]);
+  });
+
+  test("keeps pages and page sizes at 1 or more", () => {
+    const query = (page, pageSize) =>
+      queryProducts({ tenant: "acme", schema: "products", page, pageSize });
+
+    expect(query(2, -1).pagination).toMatchObject({ page: 2, pageSize: 1 });
+    expect(query(2, -1).products.map(({ key }) => key)).toEqual(["P2"]);
+    expect(query(-3, 2).pagination).toMatchObject({ page: 1, pageSize: 2 });
+    expect(query(0, 2).products.map(({ key }) => key)).toEqual(["P1", "P2"]);
+    expect(query(1, 1000).pagination.pageSize).toBe(100);
+  });
+});
+
+describe("findProductTenants", () => {
+  beforeAll(async () => {
+    await store("acme", "supplier-feed", [{ ProductID: "P7", Price: 1 }]);
+    await store("globex", "supplier-feed", [{ ProductID: "P7", Price: 2 }]);
+    await store(null, "supplier-feed", [{ ProductID: "P8", Price: 3 }]);
+  });
+
+  test("lists the tenants that store a key", () => {
+    expect(
+      findProductTenants({ schema: "supplier-feed", keyValues: ["P7"] })
+    ).toEqual(["acme", "globex"]);
+    expect(
+      findProductTenants({ schema: "supplier-feed", keyValues: ["P8"] })
+    ).toEqual([""]);
+    expect(
+      findProductTenants({ schema: "supplier-feed", keyValues: ["P9"] })
+    ).toEqual([]);
+  });
+
+  test("finds the record of one tenant", () => {
+    const product = getProduct({
+      tenant: "globex",
+      schema: "supplier-feed",
+      keyValues: ["P7"],
+    });
+    expect(product).toMatchObject({ key: "P7", tenant: "globex", version: 1 });
+    expect(product.record.Price).toBe(2);
+  });
+});
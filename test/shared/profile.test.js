@@ -0,0 +1,153 @@
+const {
+  createProfile,
+  profileRecord,
+  saveProfile,
+  restoreProfile,
+  describeProfile,
+} = require("../../src/shared/profile");
+
+function profileOf(records, profile = createProfile()) {
+  records.forEach((record) => profileRecord(profile, record));
+  return profile;
+}
+
+// Report entry of a column
+function describeColumn(profile, column, types) {
+  return describeProfile(profile, types).find(
+    (entry) => entry.column === column
+  );
+}
+
+// Records with the given number of distinct IDs
+function distinctRecords(count, from = 0) {
+  return Array.from({ length: count }, (_, index) => ({
+    ID: `P${from + index}`,
+  }));
+}
+
+describe("describeProfile", () => {
+  test("counts values, nulls and blanks and sums up numbers and text", () => {
+    const profile = profileOf([
+      { Name: "Lamp", Price: 10, Tags: ["a"] },
+      { Name: "  ", Price: 2.5, Tags: [] },
+      { Name: "Desk lamp", Price: null },
+      { Price: 10 },
+    ]);
+
+    expect(
+      describeProfile(profile, { Price: "decimal", Tags: "string" })
+    ).toEqual([
+      {
+        column: "Name",
+        type: "string",
+        count: 2,
+        nulls: 1,
+        blanks: 1,
+        distinct: 2,
+        distinctExact: true,
+        min: null,
+        max: null,
+        mean: null,
+        minLength: 4,
+        maxLength: 9,
+        topValues: [
+          { value: "Lamp", count: 1 },
+          { value: "Desk lamp", count: 1 },
+        ],
+        topValuesExact: true,
+      },
+      expect.objectContaining({
+        column: "Price",
+        type: "decimal",
+        count: 3,
+        nulls: 1,
+        distinct: 2,
+        min: 2.5,
+        max: 10,
+        mean: 7.5,
+        topValues: [
+          { value: 10, count: 2 },
+          { value: 2.5, count: 1 },
+        ],
+      }),
+      expect.objectContaining({ column: "Tags", count: 1, nulls: 3 }),
+    ]);
+  });
+
+  test("tells values of different types apart", () => {
+    const profile = profileOf([{ Code: 1 }, { Code: "1" }, { Code: 1 }]);
+
+    expect(describeColumn(profile, "Code").topValues).toEqual([
+      { value: 1, count: 2 },
+      { value: "1", count: 1 },
+    ]);
+  });
+
+  test("counts distinct values exactly up to 1,024", () => {
+    const profile = profileOf(distinctRecords(1024));
+
+    expect(describeColumn(profile, "ID")).toMatchObject({
+      distinct: 1024,
+      distinctExact: true,
+    });
+  });
+
+  test("estimates larger numbers of distinct values", () => {
+    const profile = profileOf(distinctRecords(20000));
+    const { distinct, distinctExact } = describeColumn(profile, "ID");
+
+    expect(distinctExact).toBe(false);
+    expect(Math.abs(distinct - 20000) / 20000).toBeLessThan(0.1);
+  });
+
+  test("reports frequent values among many others", () => {
+    const records = distinctRecords(500);
+    for (let i = 0; i < 50; i++) records.push({ ID: "P7" }, { ID: "P9" });
+    const profile = profileOf(records);
+    const { topValues, topValuesExact } = describeColumn(profile, "ID");
+
+    expect(topValuesExact).toBe(false);
+    expect(topValues.slice(0, 2).map(({ value }) => value)).toEqual([
+      "P7",
+      "P9",
+    ]);
+    expect(topValues[0].count).toBeGreaterThanOrEqual(51);
+  });
+});
+
+describe("saveProfile", () => {
+  test("resumes with the same counts", () => {
+    const records = [
+      { Name: "Lamp", Price: 10 },
+      { Name: "", Price: 2 },
+      ...distinctRecords(100),
+    ];
+    const resumed = restoreProfile(
+      JSON.parse(JSON.stringify(saveProfile(profileOf(records.slice(0, 50)))))
+    );
+    profileOf(records.slice(50), resumed);
+
+    expect(describeProfile(resumed)).toEqual(
+      describeProfile(profileOf(records))
+    );
+  });
+
+  test("keeps the estimate of distinct values", () => {
+    const profile = profileOf(distinctRecords(5000));
+    const resumed = restoreProfile(saveProfile(profile));
+
+    expect(describeColumn(resumed, "ID")).toEqual(
+      describeColumn(profile, "ID")
+    );
+
+    profileOf(distinctRecords(5000, 5000), resumed);
+    const { distinct } = describeColumn(resumed, "ID");
+    expect(Math.abs(distinct - 10000) / 10000).toBeLessThan(0.1);
+  });
+
+  test("saves a few kilobytes per column", () => {
+    const saved = JSON.stringify(saveProfile(profileOf(distinctRecords(2000))));
+
+    expect(saved.length).toBeLessThan(16 * 1024);
+  });
+});
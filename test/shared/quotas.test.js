@@ -0,0 +1,213 @@
+// Row and job quotas against an in-memory stand-in for Redis
+process.env.QUOTA_DAILY_ROWS = "1200";
+process.env.QUOTA_CONCURRENT_JOBS = "2";
+
+const mockHashes = new Map();
+const mockSets = new Map();
+
+jest.mock("../../src/shared/redis", () => {
+  const hash = (key) => {
+    if (!mockHashes.has(key)) mockHashes.set(key, {});
+    return mockHashes.get(key);
+  };
+  const set = (key) => {
+    if (!mockSets.has(key)) mockSets.set(key, new Set());
+    return mockSets.get(key);
+  };
+  const client = {
+    multi() {
+      const replies = [];
+      const multi = {
+        hincrby(key, field, by) {
+          const entry = hash(key);
+          entry[field] = (Number(entry[field]) || 0) + by;
+          replies.push(entry[field]);
+          return multi;
+        },
+        hgetall(key) {
+          replies.push(mockHashes.get(key) || null);
+          return multi;
+        },
+        expire() {
+          replies.push(1);
+          return multi;
+        },
+        sadd(key, member) {
+          set(key).add(member);
+          replies.push(1);
+          return multi;
+        },
+        srem(key, member) {
+          replies.push(set(key).delete(member) ? 1 : 0);
+          return multi;
+        },
+        exec: (callback) => callback(null, replies),
+      };
+      return multi;
+    },
+    sadd(key, member, callback) {
+      set(key).add(member);
+      callback(null, 1);
+    },
+    srem(key, ...args) {
+      const callback = args.pop();
+      args.forEach((member) => set(key).delete(member));
+      callback(null, args.length);
+    },
+    smembers(key, callback) {
+      callback(null, [...set(key)]);
+    },
+  };
+  return { getRedisClient: () => client };
+});
+
+const {
+  QuotaExceededError,
+  getUsage,
+  reserveBytes,
+  releaseBytes,
+  openRowMeter,
+  addOpenJob,
+  removeOpenJob,
+  countOpenJobs,
+  takeJobSlot,
+  claimJobSlot,
+  releaseJobSlot,
+} = require("../../src/shared/quotas");
+
+beforeEach(() => {
+  mockHashes.clear();
+  mockSets.clear();
+});
+
+describe("openRowMeter", () => {
+  test("fails once the daily row quota is used up", async () => {
+    const meter = openRowMeter("acme");
+    let read = 0;
+
+    await expect(
+      (async () => {
+        for (; read < 5000; read++) await meter.add();
+      })()
+    ).rejects.toThrow(QuotaExceededError);
+    expect(read).toBe(1499);
+    const [today] = await getUsage("acme");
+    expect(today.rows).toBe(1500);
+  });
+
+  test("counts the rows of jobs running at the same time together", async () => {
+    const first = openRowMeter("acme");
+    const second = openRowMeter("acme");
+
+    for (let i = 0; i < 500; i++) await first.add();
+    for (let i = 0; i < 500; i++) await second.add();
+    for (let i = 0; i < 499; i++) await first.add();
+    await expect(first.add()).rejects.toThrow(
+      "Daily row quota of 1200 rows used up"
+    );
+  });
+
+  test("charges the remaining rows on close", async () => {
+    const meter = openRowMeter("acme");
+    for (let i = 0; i < 42; i++) await meter.add();
+
+    expect((await getUsage("acme"))[0].rows).toBe(0);
+    await meter.close();
+    expect((await getUsage("acme"))[0].rows).toBe(42);
+  });
+
+  test("does not count jobs without a tenant", async () => {
+    const meter = openRowMeter(null);
+    for (let i = 0; i < 2000; i++) await meter.add();
+    await meter.close();
+
+    expect(mockHashes.size).toBe(0);
+  });
+});
+
+describe("releaseBytes", () => {
+  test("gives back the bytes and job of an upload", async () => {
+    await reserveBytes("acme", 100);
+    await releaseBytes("acme", 100);
+
+    const [today] = await getUsage("acme");
+    expect(today).toMatchObject({ bytes: 0, jobs: 0 });
+  });
+});
+
+describe("countOpenJobs", () => {
+  test("counts the jobs added and not removed", async () => {
+    const isOpen = jest.fn();
+    await addOpenJob("acme", "csv-processing", "1");
+    await addOpenJob("acme", "csv-processing", "2");
+    await removeOpenJob("acme", "csv-processing", "1");
+    await addOpenJob("other", "csv-processing", "3");
+
+    expect(await countOpenJobs("acme", isOpen)).toBe(1);
+    expect(isOpen).not.toHaveBeenCalled();
+  });
+
+  test("drops jobs that are no longer open once the limit is reached", async () => {
+    const isOpen = jest.fn(async (queueName, jobId) => jobId !== "1");
+    await addOpenJob("acme", "csv-processing", "1");
+    await addOpenJob("acme", "file-conversion", "2");
+
+    expect(await countOpenJobs("acme", isOpen)).toBe(1);
+    expect(isOpen).toHaveBeenCalledWith("csv-processing", "1");
+    expect(isOpen).toHaveBeenCalledWith("file-conversion", "2");
+    expect([...mockSets.get("open-jobs:acme")]).toEqual(["file-conversion:2"]);
+  });
+});
+
+describe("takeJobSlot", () => {
+  const isOpen = async () => true;
+
+  test("hands the slot of an upload over to its job", async () => {
+    const { slot, openJobs } = await takeJobSlot("acme", isOpen);
+    expect(openJobs).toBe(0);
+    expect(slot).toMatch(/^upload:\d+:[0-9a-f]+$/);
+
+    await claimJobSlot("acme", slot, "csv-processing", "7");
+    expect([...mockSets.get("open-jobs:acme")]).toEqual(["csv-processing:7"]);
+  });
+
+  test("gives back the slot of an upload without a job", async () => {
+    const { slot } = await takeJobSlot("acme", isOpen);
+    await releaseJobSlot("acme", slot);
+
+    expect(await countOpenJobs("acme", isOpen)).toBe(0);
+  });
+
+  test("refuses uploads once the limit is reached", async () => {
+    await addOpenJob("acme", "csv-processing", "1");
+    await takeJobSlot("acme", isOpen);
+
+    expect(await takeJobSlot("acme", isOpen)).toEqual({
+      slot: null,
+      openJobs: 2,
+    });
+    expect(mockSets.get("open-jobs:acme").size).toBe(2);
+  });
+
+  test("gives the last slot to one of two uploads at most", async () => {
+    await addOpenJob("acme", "csv-processing", "1");
+    const taken = await Promise.all([
+      takeJobSlot("acme", isOpen),
+      takeJobSlot("acme", isOpen),
+    ]);
+
+    expect(taken.filter(({ slot }) => slot).length).toBeLessThanOrEqual(1);
+    expect(mockSets.get("open-jobs:acme").size).toBeLessThanOrEqual(2);
+  });
+
+  test("drops upload slots that were never given back", async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, "now").mockReturnValue(now - 2 * 3600000);
+    await takeJobSlot("acme", isOpen);
+    await takeJobSlot("acme", isOpen);
+    spy.mockRestore();
+
+    expect((await takeJobSlot("acme", isOpen)).slot).not.toBeNull();
+    expect(mockSets.get("open-jobs:acme").size).toBe(1);
+  });
+});
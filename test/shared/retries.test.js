@@ -0,0 +1,204 @@
+// Retry policies and the dead-letter queue, against in-memory stand-ins for
+// Bull queues
+process.env.CSV_JOB_ATTEMPTS = "4";
+
+const EventEmitter = require("events");
+
+// Jobs of the fake dead-letter queue, by id
+const mockDeadLetters = new Map();
+
+jest.mock("bull", () =>
+  jest.fn().mockImplementation((name) => ({
+    name,
+    async add(data, opts) {
+      const entry = {
+        id: opts.jobId,
+        data,
+        opts,
+        remove: async () => mockDeadLetters.delete(opts.jobId),
+      };
+      mockDeadLetters.set(opts.jobId, entry);
+      return entry;
+    },
+    getJob: async (id) => mockDeadLetters.get(id) || null,
+  }))
+);
+
+const {
+  DEAD_LETTER_QUEUE,
+  jobOptions,
+  isFinalFailure,
+  handleDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+} = require("../../src/shared/retries");
+
+// A processing queue: its jobs are added under their id and emit "failed"
+// through the queue
+function fakeQueue(name) {
+  const queue = new EventEmitter();
+  queue.name = name;
+  queue.jobs = new Map();
+  queue.add = async (data, opts) => {
+    const job = fakeJob(queue, opts.jobId, data, opts);
+    queue.jobs.set(job.id, job);
+    return job;
+  };
+  return queue;
+}
+
+function fakeJob(queue, id, data, opts, attemptsMade = 0) {
+  return {
+    id,
+    data,
+    opts,
+    attemptsMade,
+    timestamp: 1000,
+    finishedOn: 2000,
+    stacktrace: [],
+    discarded: false,
+    isDiscarded() {
+      return this.discarded;
+    },
+    remove: jest.fn(async () => queue.jobs.delete(id)),
+  };
+}
+
+const logger = { warn: jest.fn(), error: jest.fn() };
+
+// Emit "failed" and wait for the listener to finish
+async function fail(queue, job, message = "boom") {
+  queue.emit("failed", job, new Error(message));
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+beforeEach(() => {
+  mockDeadLetters.clear();
+  jest.clearAllMocks();
+});
+
+describe("jobOptions", () => {
+  test("takes the policy of the queue, or the default one", () => {
+    expect(jobOptions("csv-processing")).toEqual({
+      attempts: 4,
+      backoff: { type: "exponential", delay: 5000 },
+    });
+    expect(jobOptions("file-conversion").attempts).toBe(2);
+    expect(jobOptions("xml-processing").attempts).toBe(3);
+  });
+
+  test("gives every job its own backoff settings", () => {
+    jobOptions("csv-processing").backoff.delay = 1;
+    expect(jobOptions("csv-processing").backoff.delay).toBe(5000);
+  });
+});
+
+describe("isFinalFailure", () => {
+  const job = (attemptsMade, discarded = false) => ({
+    attemptsMade,
+    opts: { attempts: 3 },
+    isDiscarded: () => discarded,
+  });
+
+  test("is final once the attempts are used up or the job is discarded", () => {
+    expect(isFinalFailure(job(2))).toBe(false);
+    expect(isFinalFailure(job(3))).toBe(true);
+    expect(isFinalFailure(job(1, true))).toBe(true);
+  });
+});
+
+describe("the dead-letter queue", () => {
+  test("leaves jobs with attempts left to Bull", async () => {
+    const queue = fakeQueue("csv-processing");
+    handleDeadLetters(queue, logger);
+    const job = fakeJob(queue, "7", {}, jobOptions("csv-processing"), 1);
+
+    await fail(queue, job);
+    expect(job.remove).not.toHaveBeenCalled();
+    expect(mockDeadLetters.size).toBe(0);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Job 7 failed (attempt 1 of 4), retrying",
+      { error: "boom" }
+    );
+  });
+
+  test("takes jobs that failed their last attempt", async () => {
+    const queue = fakeQueue("csv-processing");
+    handleDeadLetters(queue, logger);
+    const job = fakeJob(
+      queue,
+      "7",
+      { filePath: "uploads/a.csv", tenant: "acme" },
+      jobOptions("csv-processing"),
+      4
+    );
+    queue.jobs.set("7", job);
+
+    await fail(queue, job, "bad file");
+    expect(queue.jobs.has("7")).toBe(false);
+    const entry = await getDeadLetter("csv-processing", "7");
+    expect(entry.data).toEqual({
+      queue: "csv-processing",
+      jobId: "7",
+      data: { filePath: "uploads/a.csv", tenant: "acme" },
+      opts: { attempts: 4, backoff: { type: "exponential", delay: 5000 } },
+      attemptsMade: 4,
+      failedReason: "bad file",
+      stacktrace: [],
+      createdOn: 1000,
+      failedOn: 2000,
+    });
+    expect(logger.error).toHaveBeenCalledWith(
+      `Job 7 failed after 4 attempts, moved to the ${DEAD_LETTER_QUEUE} queue`,
+      { error: "bad file" }
+    );
+  });
+
+  test("keeps the entries of queues with the same job ids apart", async () => {
+    const csv = fakeQueue("csv-processing");
+    const convert = fakeQueue("file-conversion");
+    handleDeadLetters(csv, logger);
+    handleDeadLetters(convert, logger);
+
+    await fail(csv, fakeJob(csv, "1", { n: 1 }, { attempts: 1 }, 1));
+    await fail(convert, fakeJob(convert, "1", { n: 2 }, { attempts: 1 }, 1));
+    expect((await getDeadLetter("csv-processing", "1")).data.data).toEqual({
+      n: 1,
+    });
+    expect((await getDeadLetter("file-conversion", "1")).data.data).toEqual({
+      n: 2,
+    });
+    expect(await getDeadLetter("json-processing", "1")).toBeNull();
+  });
+
+  test("puts a job back with a fresh set of attempts", async () => {
+    const queue = fakeQueue("csv-processing");
+    handleDeadLetters(queue, logger);
+    await fail(
+      queue,
+      fakeJob(queue, "7", { tenant: "acme" }, { attempts: 4 }, 4)
+    );
+
+    const job = await retryDeadLetter(
+      queue,
+      await getDeadLetter("csv-processing", "7")
+    );
+    expect(job.id).toBe("7");
+    expect(job.data).toEqual({ tenant: "acme", retriedAt: expect.any(Number) });
+    expect(job.opts).toEqual({ ...jobOptions("csv-processing"), jobId: "7" });
+    expect(await getDeadLetter("csv-processing", "7")).toBeNull();
+  });
+
+  test("logs jobs it cannot dead-letter", async () => {
+    const queue = fakeQueue("csv-processing");
+    handleDeadLetters(queue, logger);
+    const job = fakeJob(queue, "7", {}, { attempts: 1 }, 1);
+    job.remove.mockRejectedValue(new Error("Redis is down"));
+
+    await fail(queue, job);
+    expect(logger.error).toHaveBeenCalledWith(
+      "Could not dead-letter job 7:",
+      expect.objectContaining({ message: "Redis is down" })
+    );
+  });
+});
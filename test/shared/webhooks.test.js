@@ -0,0 +1,187 @@
+// Webhook deliveries against a stub receiver on this host. Redis is not
+// needed: the delivery queue and the key store are replaced with in-memory
+// fakes.
+process.env.WEBHOOK_SECRET = "operator-secret";
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+
+const crypto = require("crypto");
+const http = require("http");
+
+const history = [];
+jest.mock("bull", () =>
+  jest.fn().mockImplementation(() => {
+    const multi = {
+      rpush: (key, entry) => {
+        history.push(JSON.parse(entry));
+        return multi;
+      },
+      ltrim: () => multi,
+      expire: () => multi,
+      exec: async () => [],
+    };
+    return {
+      client: { multi: () => multi },
+      toKey: (key) => `bull:webhook-delivery:${key}`,
+    };
+  })
+);
+
+const KEY_SECRETS = { key1: "whsec_key1", key2: null };
+jest.mock("../../src/shared/apiKeys", () => ({
+  getWebhookSecret: async (id) => KEY_SECRETS[id] || null,
+}));
+
+const {
+  parseCallbackUrl,
+  signPayload,
+  deliver,
+} = require("../../src/shared/webhooks");
+
+let server;
+let requests;
+let status;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  history.length = 0;
+  status = 200;
+});
+
+function delivery(data) {
+  return {
+    attemptsMade: 0,
+    data: {
+      url: baseUrl,
+      queue: "csv-processing",
+      jobId: "42",
+      payload: {
+        id: "csv-processing:42:job.completed:1",
+        event: "job.completed",
+      },
+      ...data,
+    },
+  };
+}
+
+function expectSignedWith(request, secret) {
+  const timestamp = request.headers["x-webhook-timestamp"];
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${request.body}`)
+    .digest("hex");
+  expect(request.headers["x-webhook-signature"]).toBe(`sha256=${expected}`);
+}
+
+describe("deliver", () => {
+  test("signs callbacks with the secret of the job's API key", async () => {
+    const entry = await deliver(delivery({ apiKeyId: "key1" }));
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(JSON.parse(request.body).event).toBe("job.completed");
+    expect(request.headers["x-webhook-event"]).toBe("job.completed");
+    expect(request.headers["x-webhook-id"]).toBe(
+      "csv-processing:42:job.completed:1"
+    );
+    expectSignedWith(request, "whsec_key1");
+    expect(entry).toMatchObject({ status: 200, error: null, attempt: 1 });
+    expect(history).toEqual([entry]);
+  });
+
+  test("signs deliveries without a key with WEBHOOK_SECRET", async () => {
+    await deliver(delivery({ apiKeyId: null }));
+    await deliver(delivery({ apiKeyId: "admin" }));
+
+    expect(requests).toHaveLength(2);
+    requests.forEach((request) => expectSignedWith(request, "operator-secret"));
+  });
+
+  test("fails the attempt on responses other than 2xx", async () => {
+    status = 503;
+
+    await expect(deliver(delivery({ apiKeyId: "key1" }))).rejects.toThrow(
+      "Callback responded with status 503"
+    );
+    expect(history[0]).toMatchObject({ status: 503 });
+  });
+
+  test("does not send deliveries it cannot sign", async () => {
+    await expect(deliver(delivery({ apiKeyId: "key2" }))).rejects.toThrow(
+      "API key key2 has no webhook secret"
+    );
+    expect(requests).toHaveLength(0);
+    expect(history[0].error).toMatch(/no webhook secret/);
+  });
+
+  test("does not send deliveries to private addresses", async () => {
+    const url = baseUrl.replace("127.0.0.1", "localhost");
+
+    await expect(deliver(delivery({ url, apiKeyId: "key1" }))).rejects.toThrow(
+      "Callback URL must not point to a loopback, link-local or private address (localhost)"
+    );
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe("parseCallbackUrl", () => {
+  test("accepts public and allowed hosts", async () => {
+    await expect(parseCallbackUrl("https://93.184.216.34/hooks")).resolves.toBe(
+      "https://93.184.216.34/hooks"
+    );
+    await expect(parseCallbackUrl(baseUrl)).resolves.toBe(baseUrl);
+  });
+
+  test.each([
+    "http://localhost:3000/hooks",
+    "http://127.0.0.2/",
+    "http://[::ffff:10.1.2.3]/hooks",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.0.0.5/hooks",
+    "http://172.20.1.1/hooks",
+    "http://192.168.1.10/hooks",
+    "http://100.64.0.1/hooks",
+    "http://0.0.0.0/hooks",
+    "http://[::1]/hooks",
+    "http://[fe80::1]/hooks",
+    "http://[fd00::1]/hooks",
+    "http://[::ffff:127.0.0.1]/hooks",
+  ])("rejects %s", async (url) => {
+    await expect(parseCallbackUrl(url)).rejects.toThrow(
+      "Callback URL must not point to a loopback, link-local or private address"
+    );
+  });
+
+  test("rejects invalid URLs and other protocols", async () => {
+    await expect(parseCallbackUrl("not a url")).rejects.toThrow(
+      'Invalid callback URL "not a url"'
+    );
+    await expect(parseCallbackUrl("ftp://example.com/")).rejects.toThrow(
+      "Callback URL must use http or https"
+    );
+  });
+});
+
+describe("signPayload", () => {
+  test("refuses to sign without a secret", () => {
+    expect(() => signPayload("{}", 1, "")).toThrow(
+      "Webhook payloads need a secret to be signed"
+    );
+  });
+});